@@ -0,0 +1,289 @@
+import botService from './bot/service.js';
+import lessons from './config/lessons.js';
+import jobQueue from './storage/jobQueue.js';
+import historyStore from './storage/historyStore.js';
+import feedbackStore from './storage/feedbackStore.js';
+import usageStore from './storage/usageStore.js';
+import { checkBudget, periodBounds, readBudgets } from './ai/budget.js';
+import jobWorker from './worker.js';
+
+const JOB_LIST_LIMIT = 20;
+const USAGE_TOP_USERS = 5;
+
+const USAGE_KINDS = {
+    summary: 'анализ',
+    regeneration: 'пересоздание',
+    deferred: 'отложенный анализ',
+    repair: 'исправление JSON',
+    reflection: 'размышления по разделам',
+    discussion: 'обсуждение'
+};
+
+function formatJob(job) {
+    const next = job.status === 'pending' ? `, следующая попытка ${new Date(job.nextAttemptAt).toLocaleString('ru-RU')}` : '';
+    const error = job.lastError ? `\n   ${job.lastError.slice(0, 200)}` : '';
+    return `• ${job.id} — ${job.type}, чат ${job.chatId}, попыток: ${job.attempts}${next}${error}`;
+}
+
+function percent(part, total) {
+    return total > 0 ? `${Math.round((part / total) * 100)}%` : '—';
+}
+
+/**
+ * Compare prompt versions of every lesson: runs, regenerations, analysis length and ratings.
+ * Versions from the lesson files are listed even without runs; versions that were
+ * removed from the files still show up while they have data.
+ */
+function buildPromptReport() {
+    // "chain|lang|version" -> stats
+    const groups = new Map();
+    const groupFor = (chain, lang, version) => {
+        const key = `${chain}|${lang}|${version}`;
+        if (!groups.has(key)) {
+            groups.set(key, { chain, lang, version, weight: null, runs: 0, regenerated: 0, length: 0, up: 0, down: 0 });
+        }
+        return groups.get(key);
+    };
+
+    for (const [lang, chains] of Object.entries(lessons.describe())) {
+        for (const chain of chains) {
+            for (const template of lessons.get(lang, chain).ai.templates) {
+                groupFor(chain, lang, template.version).weight = template.weight;
+            }
+        }
+    }
+
+    for (const entry of historyStore.all()) {
+        const source = entry.summarySource;
+        // Fallback texts and analyses from before prompt versions
+        if (!source?.provider || !source.promptVersion) continue;
+
+        const group = groupFor(entry.chain, entry.lang, source.promptVersion);
+        group.runs++;
+        if (entry.regenerations > 0) group.regenerated++;
+        group.length += (entry.summary || '').length;
+    }
+
+    for (const feedback of feedbackStore.list()) {
+        if (!feedback.promptVersion) continue;
+        const group = groupFor(feedback.chain, feedback.lang, feedback.promptVersion);
+        group[feedback.rating === 'up' ? 'up' : 'down']++;
+    }
+
+    const sorted = [...groups.values()].sort((a, b) => (a.chain - b.chain) || a.lang.localeCompare(b.lang));
+    const lines = [];
+    let heading = null;
+    for (const group of sorted) {
+        const title = `Занятие ${group.chain} (${group.lang})`;
+        if (title !== heading) {
+            lines.push('', title);
+            heading = title;
+        }
+
+        const weight = group.weight === null ? 'нет в файлах' : `вес ${group.weight}`;
+        const stats = [`${group.version} — ${weight}`, `анализов: ${group.runs}`];
+        if (group.runs > 0) {
+            stats.push(`пересоздано: ${percent(group.regenerated, group.runs)}`);
+            stats.push(`длина: ${Math.round(group.length / group.runs)} симв.`);
+        }
+        const rated = group.up + group.down;
+        if (rated > 0) {
+            stats.push(`👍 ${group.up} / 👎 ${group.down} (${percent(group.up, rated)})`);
+        }
+        lines.push(`• ${stats.join(' · ')}`);
+    }
+    return lines.join('\n');
+}
+
+function formatCost(cost) {
+    return `$${cost >= 1 ? cost.toFixed(2) : cost.toFixed(4)}`;
+}
+
+/**
+ * Requests, tokens and cost of a list of usage entries
+ */
+function sumUsage(entries) {
+    return entries.reduce((sum, entry) => ({
+        calls: sum.calls + 1,
+        promptTokens: sum.promptTokens + entry.promptTokens,
+        completionTokens: sum.completionTokens + entry.completionTokens,
+        cost: sum.cost + (entry.cost || 0),
+        estimated: sum.estimated + (entry.estimated ? 1 : 0),
+        unpriced: sum.unpriced + (entry.cost === null ? 1 : 0)
+    }), { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: 0, unpriced: 0 });
+}
+
+function formatUsage({ calls, promptTokens, completionTokens, cost }) {
+    return `запросов: ${calls}, токенов: ${promptTokens} + ${completionTokens}, ${formatCost(cost)}`;
+}
+
+/**
+ * Group entries by a key and describe the groups, most expensive first
+ * @param {Function} keyOf - entry -> key
+ * @param {Function} labelOf - key -> label
+ */
+function usageBreakdown(entries, keyOf, labelOf, limit = Infinity) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = keyOf(entry);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    }
+    return [...groups.entries()]
+        .map(([key, items]) => ({ key, total: sumUsage(items) }))
+        .sort((a, b) => (b.total.cost - a.total.cost) || (b.total.calls - a.total.calls))
+        .slice(0, limit)
+        .map(({ key, total }) => `• ${labelOf(key)}: ${formatUsage(total)}`);
+}
+
+/**
+ * AI spend: today, this month and overall, the budgets, and this month by lesson, kind, model and user
+ */
+function buildUsageReport(now = new Date()) {
+    const day = periodBounds('day', now);
+    const month = periodBounds('month', now);
+    const all = usageStore.totals();
+    const monthEntries = usageStore.list({ since: month.start });
+
+    const lines = [
+        `Сегодня — ${formatUsage(usageStore.totals(day.start))}`,
+        `Этот месяц — ${formatUsage(usageStore.totals(month.start))}`,
+        `Всего — ${formatUsage(all)}`
+    ];
+
+    const budgets = readBudgets();
+    if (budgets.length > 0) {
+        lines.push('', 'Бюджеты:');
+        for (const { scope, period, limit } of budgets) {
+            const name = `${scope === 'user' ? 'на пользователя' : 'общий'} в ${period === 'day' ? 'день' : 'месяц'}`;
+            if (scope === 'user') {
+                lines.push(`• ${name}: ${formatCost(limit)}`);
+                continue;
+            }
+            const spent = usageStore.spent(periodBounds(period, now).start);
+            lines.push(`• ${name}: ${formatCost(limit)} — потрачено ${formatCost(spent)} (${percent(spent, limit)})`);
+        }
+        if (checkBudget(null, now)) {
+            lines.push('⏳ Общий бюджет исчерпан: новые анализы откладываются в очередь.');
+        }
+    } else {
+        lines.push('', 'Бюджеты не заданы (AI_BUDGET_DAILY, AI_BUDGET_MONTHLY, AI_BUDGET_USER_DAILY, AI_BUDGET_USER_MONTHLY).');
+    }
+
+    if (monthEntries.length > 0) {
+        lines.push('', 'За месяц по занятиям:');
+        lines.push(...usageBreakdown(monthEntries, entry => `${entry.chain}|${entry.lang}`, key => {
+            const [chain, lang] = key.split('|');
+            return `Занятие ${chain} (${lang})`;
+        }));
+        lines.push('', 'По типам запросов:');
+        lines.push(...usageBreakdown(monthEntries, entry => entry.kind, kind => USAGE_KINDS[kind] || kind));
+        lines.push('', 'По моделям:');
+        lines.push(...usageBreakdown(monthEntries, entry => `${entry.provider} / ${entry.model}`, key => key));
+        lines.push('', `Больше всего за месяц (топ ${USAGE_TOP_USERS}):`);
+        lines.push(...usageBreakdown(monthEntries, entry => entry.chatId, chatId => `чат ${chatId}`, USAGE_TOP_USERS));
+    }
+
+    const { estimated, unpriced } = all;
+    if (estimated > 0) {
+        lines.push('', `ℹ️ Запросов с оценкой токенов по длине текста (сервер не вернул usage): ${estimated}`);
+    }
+    if (unpriced > 0) {
+        lines.push(`ℹ️ Запросов к провайдерам без цены (не входят в стоимость и бюджеты): ${unpriced}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Admin Commands
+ * Available only to Telegram user IDs listed in ADMIN_IDS (comma-separated).
+ */
+class AdminHandler {
+    get adminIds() {
+        return (process.env.ADMIN_IDS || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+    }
+
+    isAdmin(userId) {
+        return this.adminIds.includes(String(userId));
+    }
+
+    /**
+     * Handle /reload_lessons - re-read lesson files without restarting
+     */
+    async handleReloadLessons(msg) {
+        if (!this.isAdmin(msg.from?.id)) return;
+        const chatId = msg.chat.id;
+
+        try {
+            const loaded = lessons.load();
+            const list = Object.entries(loaded)
+                .map(([lang, ids]) => `${lang}: ${ids.join(', ')}`)
+                .join('\n');
+            console.log('🔄 Lessons reloaded by admin', msg.from.id);
+            await botService.sendMessage(chatId, `✅ Занятия перезагружены\n\n${list}`, { plain: true });
+        } catch (error) {
+            console.error('❌ Lesson reload failed:', error.message);
+            const details = error.errors ? error.errors.join('\n') : error.message;
+            await botService.sendMessage(chatId, `❌ Занятия не перезагружены, используются прежние версии.\n\n${details}`, { plain: true });
+        }
+    }
+
+    /**
+     * Handle /jobs - list pending and failed deferred jobs
+     */
+    async handleJobs(msg) {
+        if (!this.isAdmin(msg.from?.id)) return;
+
+        const sections = ['pending', 'failed'].map(status => {
+            const jobs = jobQueue.list(status);
+            const title = status === 'pending' ? '⏳ В очереди' : '❌ Не удалось';
+            const lines = jobs.slice(-JOB_LIST_LIMIT).map(formatJob);
+            return `${title}: ${jobs.length}${lines.length > 0 ? '\n' + lines.join('\n') : ''}`;
+        });
+        sections.push('Повторить сейчас: /retry_job <id> или /retry_job all');
+
+        await botService.sendMessage(msg.chat.id, sections.join('\n\n'), { plain: true });
+    }
+
+    /**
+     * Handle /retry_job <id|all> - run deferred jobs now, failed ones get a fresh set of attempts
+     */
+    async handleRetryJob(msg, arg) {
+        if (!this.isAdmin(msg.from?.id)) return;
+        const chatId = msg.chat.id;
+
+        const ids = arg === 'all' ? jobQueue.list().map(job => job.id) : [arg].filter(Boolean);
+        const retried = ids.filter(id => jobQueue.retry(id));
+        if (retried.length === 0) {
+            await botService.sendMessage(chatId, arg ? `❌ Задача ${arg} не найдена.` : 'Укажите ID задачи или all: /retry_job <id>', { plain: true });
+            return;
+        }
+
+        console.log(`🔁 Jobs retried by admin ${msg.from.id}:`, retried.join(', '));
+        await botService.sendMessage(chatId, `🔁 Запущено задач: ${retried.length}`, { plain: true });
+        await jobWorker.runDue();
+    }
+
+    /**
+     * Handle /prompt_report - compare prompt versions by rating, regeneration rate and length
+     */
+    async handlePromptReport(msg) {
+        if (!this.isAdmin(msg.from?.id)) return;
+
+        await botService.sendMessage(msg.chat.id, `📊 Версии промптов\n${buildPromptReport()}`, { plain: true });
+    }
+
+    /**
+     * Handle /usage_report - AI requests, tokens and estimated cost against the budgets
+     */
+    async handleUsageReport(msg) {
+        if (!this.isAdmin(msg.from?.id)) return;
+
+        await botService.sendMessage(msg.chat.id, `💰 Расходы на AI\n\n${buildUsageReport()}`, { plain: true });
+    }
+}
+
+export default new AdminHandler();
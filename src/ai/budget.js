@@ -0,0 +1,82 @@
+import usageStore from '../storage/usageStore.js';
+
+/**
+ * AI Budgets
+ * Spending limits in USD over the estimated cost of AI requests, for every
+ * user and for the whole bot, per calendar day and month (server time):
+ *
+ *   AI_BUDGET_DAILY=5  AI_BUDGET_MONTHLY=100             # the whole bot
+ *   AI_BUDGET_USER_DAILY=0.2  AI_BUDGET_USER_MONTHLY=2   # each user
+ *
+ * Unset limits don't apply. Requests to providers that neither report a
+ * cost nor have prices cost nothing here, so they are never limited; the
+ * bot warns about such providers at startup when budgets are set.
+ */
+
+const LIMITS = [
+    { scope: 'user', period: 'day', env: 'AI_BUDGET_USER_DAILY' },
+    { scope: 'user', period: 'month', env: 'AI_BUDGET_USER_MONTHLY' },
+    { scope: 'global', period: 'day', env: 'AI_BUDGET_DAILY' },
+    { scope: 'global', period: 'month', env: 'AI_BUDGET_MONTHLY' }
+];
+
+export class BudgetExceededError extends Error {
+    /**
+     * @param {Object} exceeded - From checkBudget()
+     */
+    constructor(exceeded) {
+        super(`AI budget exceeded: ${exceeded.scope} ${exceeded.period} limit $${exceeded.limit}`);
+        this.name = 'BudgetExceededError';
+        this.exceeded = exceeded;
+        // The limit is lifted when the period ends
+        this.retryAfterMs = Math.max(0, exceeded.resetsAt - Date.now());
+    }
+}
+
+/**
+ * Start of the current period and of the next one
+ */
+export function periodBounds(period, now = new Date()) {
+    if (period === 'day') {
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        return { start: start.getTime(), end: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime() };
+    }
+    const start = new Date(now.getFullYear(), now.getMonth(), 1);
+    return { start: start.getTime(), end: new Date(now.getFullYear(), now.getMonth() + 1, 1).getTime() };
+}
+
+/**
+ * Configured limits
+ * @returns {Array} [{ scope, period, limit }]
+ */
+export function readBudgets(env = process.env) {
+    return LIMITS
+        .map(({ scope, period, env: name }) => ({ scope, period, limit: env[name] === undefined || env[name] === '' ? null : Number(env[name]) }))
+        .filter(({ limit }) => Number.isFinite(limit) && limit >= 0);
+}
+
+/**
+ * The first limit a user has reached, if any
+ * @returns {Object|null} { scope, period, limit, spent, resetsAt }
+ */
+export function checkBudget(chatId, now = new Date()) {
+    for (const { scope, period, limit } of readBudgets()) {
+        if (scope === 'user' && (chatId === null || chatId === undefined)) continue;
+        const { start, end } = periodBounds(period, now);
+        const spent = usageStore.spent(start, scope === 'user' ? chatId : null);
+        if (spent >= limit) {
+            return { scope, period, limit, spent, resetsAt: end };
+        }
+    }
+    return null;
+}
+
+/**
+ * Throw BudgetExceededError when a user may not make AI requests right now
+ */
+export function assertBudget(chatId) {
+    const exceeded = checkBudget(chatId);
+    if (exceeded) {
+        throw new BudgetExceededError(exceeded);
+    }
+}
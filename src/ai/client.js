@@ -0,0 +1,114 @@
+import { AiProviderError, loadProviderConfig } from './providers.js';
+import { aiRequestDuration } from '../monitoring/metrics.js';
+
+// Longer Retry-After waits go to the next provider instead
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * AI Client
+ * Sends completion requests through the configured providers in order.
+ * A provider is retried with exponential backoff on rate limits and server
+ * errors; when it keeps failing the next one in the chain is asked.
+ */
+class AiClient {
+    constructor() {
+        this.providers = null;
+        this.retries = 0;
+        this.backoffMs = 0;
+    }
+
+    /**
+     * (Re)read the provider chain from the environment or AI_CONFIG
+     * @returns {string[]} Provider names in fallback order
+     */
+    load() {
+        const { providers, retries, backoffMs } = loadProviderConfig();
+        this.providers = providers;
+        this.retries = retries;
+        this.backoffMs = backoffMs;
+        return this.describe();
+    }
+
+    describe() {
+        return (this.providers || []).map(provider => `${provider.name}${provider.isConfigured() ? '' : ' (no API key)'}`);
+    }
+
+    /**
+     * Names of the providers whose requests have no cost, so budgets don't count them
+     */
+    getUnpriced() {
+        if (!this.providers) this.load();
+        return this.providers.filter(provider => !provider.isPriced()).map(provider => provider.name);
+    }
+
+    /**
+     * Providers that can be asked right now
+     */
+    getAvailable() {
+        if (!this.providers) this.load();
+        return this.providers.filter(provider => provider.isConfigured());
+    }
+
+    isAvailable() {
+        return this.getAvailable().length > 0;
+    }
+
+    /**
+     * Request a completion from the first provider that answers
+     * @param {Object} [overrides] - Per-lesson { model, temperature, maxTokens } and `json` for a JSON answer;
+     *   `model` is a string for every provider or a { providerName: model } map
+     * @param {Function} [onDelta] - Stream the answer, calling this with the text so far;
+     *   a retry or the next provider starts the text over
+     * @returns {Promise<{ content: string, provider: string, model: string, usage: Object, failedAttempts: Array }>}
+     *   usage - { promptTokens, completionTokens, cost, estimated }, cost in USD or null if the provider isn't priced;
+     *   failedAttempts - [{ provider, model, usage }] of the attempts that failed but were billed. When every
+     *   attempt fails, the thrown error carries them as `failedAttempts` too
+     */
+    async complete(messages, overrides = {}, onDelta = null) {
+        const providers = this.getAvailable();
+        if (providers.length === 0) {
+            throw new Error('No AI provider is configured');
+        }
+
+        let lastError = null;
+        const failedAttempts = [];
+        for (const provider of providers) {
+            const model = typeof overrides.model === 'object' && overrides.model !== null
+                ? overrides.model[provider.name]
+                : overrides.model;
+            const options = { model: model || provider.model, temperature: overrides.temperature, maxTokens: overrides.maxTokens, json: overrides.json };
+
+            for (let attempt = 0; attempt <= this.retries; attempt++) {
+                const observe = aiRequestDuration.startTimer({ provider: provider.name });
+                try {
+                    const result = onDelta
+                        ? await provider.stream(messages, options, onDelta)
+                        : await provider.complete(messages, options);
+                    observe({ outcome: 'ok' });
+                    return { ...result, provider: provider.name, failedAttempts };
+                } catch (error) {
+                    observe({ outcome: 'error' });
+                    lastError = error;
+                    if (error.usage) {
+                        failedAttempts.push({ provider: provider.name, model: options.model, usage: error.usage });
+                    }
+                    const retryable = error instanceof AiProviderError && error.retryable;
+                    console.error(`❌ AI: ${provider.name} attempt ${attempt + 1} failed:`, error.message);
+                    if (!retryable || attempt === this.retries) break;
+
+                    const delay = error.retryAfterMs ?? this.backoffMs * 2 ** attempt;
+                    if (delay > MAX_RETRY_DELAY_MS) break;
+                    await new Promise(r => setTimeout(r, delay));
+                }
+            }
+            if (provider !== providers[providers.length - 1]) {
+                console.log(`↪️ AI: ${provider.name} unavailable, trying the next provider`);
+            }
+        }
+
+        lastError.failedAttempts = failedAttempts;
+        throw lastError;
+    }
+}
+
+export default new AiClient();
@@ -0,0 +1,130 @@
+import { createHash } from 'crypto';
+
+/**
+ * Prompt Templates
+ * A lesson's inline prompts are one named version; `ai.prompts` adds more
+ * versions of the same chain to compare them on real users:
+ *
+ *   ai:
+ *     version: v1              # name of the inline systemPrompt/userPrompt
+ *     weight: 70               # share of users, default 1
+ *     systemPrompt: ...
+ *     prompts:
+ *       - version: v2-short
+ *         weight: 30
+ *         systemPrompt: ...    # missing fields are taken from the inline prompts
+ *
+ * Users are spread over the versions by weight. The choice is derived from
+ * the user ID, so a user keeps their version across runs and restarts; a
+ * version with weight 0 is no longer assigned but stays in reports.
+ */
+
+export const DEFAULT_VERSION = 'default';
+
+const VERSION_PATTERN = /^[\w.-]{1,32}$/;
+const TEMPLATE_FIELDS = ['systemPrompt', 'userPrompt'];
+
+function isValidWeight(weight) {
+    return typeof weight === 'number' && Number.isFinite(weight) && weight >= 0;
+}
+
+/**
+ * Validate `ai.version`, `ai.weight` and `ai.prompts`
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validatePromptTemplates(ai) {
+    const errors = [];
+    if (ai.version !== undefined && (typeof ai.version !== 'string' || !VERSION_PATTERN.test(ai.version))) {
+        errors.push('"ai.version" must be a name like "v1" (letters, digits, ".", "-", "_")');
+    }
+    if (ai.weight !== undefined && !isValidWeight(ai.weight)) {
+        errors.push('"ai.weight" must be a number >= 0');
+    }
+    if (ai.prompts === undefined) return errors;
+
+    if (!Array.isArray(ai.prompts) || ai.prompts.length === 0) {
+        errors.push('"ai.prompts" must be a non-empty list of { version, weight, systemPrompt, userPrompt }');
+        return errors;
+    }
+
+    const seen = new Set([ai.version || DEFAULT_VERSION]);
+    ai.prompts.forEach((template, i) => {
+        const where = `"ai.prompts" item ${i + 1}`;
+        if (!template || typeof template !== 'object') {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof template.version !== 'string' || !VERSION_PATTERN.test(template.version)) {
+            errors.push(`${where} "version" must be a name like "v2"`);
+        } else if (seen.has(template.version)) {
+            errors.push(`${where} repeats the version "${template.version}"`);
+        }
+        seen.add(template.version);
+
+        if (template.weight !== undefined && !isValidWeight(template.weight)) {
+            errors.push(`${where} "weight" must be a number >= 0`);
+        }
+        if (!TEMPLATE_FIELDS.some(field => template[field] !== undefined)) {
+            errors.push(`${where} needs "systemPrompt" or "userPrompt"`);
+        }
+        for (const field of TEMPLATE_FIELDS) {
+            if (template[field] !== undefined && (typeof template[field] !== 'string' || template[field].trim().length === 0)) {
+                errors.push(`${where} "${field}" must be a non-empty string`);
+            }
+        }
+        if (typeof template.userPrompt === 'string' && !template.userPrompt.includes('{qaText}')) {
+            errors.push(`${where} "userPrompt" must contain the {qaText} placeholder`);
+        }
+    });
+
+    const weights = [ai.weight ?? 1, ...ai.prompts.map(template => template?.weight ?? 1)];
+    if (weights.every(isValidWeight) && weights.every(weight => weight === 0)) {
+        errors.push('at least one prompt version needs a weight above 0');
+    }
+    return errors;
+}
+
+/**
+ * Short hash of everything that shapes the analysis, so edits within a version can be told apart
+ */
+function hashTemplate({ systemPrompt, userPrompt }, { questionLabel, answerLabel, output }) {
+    return createHash('sha1')
+        .update(JSON.stringify({ systemPrompt, userPrompt, questionLabel, answerLabel, output }))
+        .digest('hex')
+        .slice(0, 8);
+}
+
+/**
+ * All versions of a validated lesson's prompts, the inline one first
+ * @returns {Array} [{ version, weight, systemPrompt, userPrompt, hash }] - userPrompt still a template string
+ */
+export function listPromptTemplates(ai) {
+    const inline = { version: ai.version || DEFAULT_VERSION, weight: ai.weight ?? 1, systemPrompt: ai.systemPrompt, userPrompt: ai.userPrompt };
+    const others = (ai.prompts || []).map(template => ({
+        version: template.version,
+        weight: template.weight ?? 1,
+        systemPrompt: template.systemPrompt ?? ai.systemPrompt,
+        userPrompt: template.userPrompt ?? ai.userPrompt
+    }));
+    return [inline, ...others].map(template => ({ ...template, hash: hashTemplate(template, ai) }));
+}
+
+/**
+ * The version a user gets. Without a user ID (or when every weight is 0) the inline prompts are used.
+ */
+export function pickTemplate(templates, userId, chain) {
+    const total = templates.reduce((sum, template) => sum + template.weight, 0);
+    if (userId === null || userId === undefined || total <= 0) {
+        return templates[0];
+    }
+
+    // Stable point in [0, total) per user and lesson
+    const bucket = parseInt(createHash('sha1').update(`${userId}:${chain}`).digest('hex').slice(0, 8), 16) / 0x100000000;
+    let point = bucket * total;
+    for (const template of templates) {
+        if (point < template.weight) return template;
+        point -= template.weight;
+    }
+    // Rounding at the very end of the range
+    return templates.filter(template => template.weight > 0).pop();
+}
@@ -0,0 +1,343 @@
+import fs from 'fs';
+import axios from 'axios';
+import yaml from 'js-yaml';
+
+/**
+ * AI Providers
+ * Every supported backend speaks the OpenAI chat/completions protocol, so a
+ * provider is a preset (base URL, API key variable, default model) on top of
+ * one HTTP client: OpenRouter, OpenAI or any compatible service, and a local
+ * Ollama or llama.cpp server.
+ */
+
+// streamUsage - accepts `stream_options: { include_usage }`; jsonMode - accepts `response_format: json_object`.
+// Other OpenAI-compatible servers may reject requests with these fields, so they are off unless configured
+export const PROVIDER_PRESETS = {
+    // OpenRouter reports the cost of every request, so it needs no prices
+    openrouter: { baseURL: 'https://openrouter.ai/api/v1', apiKeyEnv: 'OPENROUTER_API_KEY', model: 'deepseek/deepseek-chat', reportsCost: true, streamUsage: true, jsonMode: true },
+    openai: { baseURL: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY', model: 'gpt-4o-mini', streamUsage: true, jsonMode: true },
+    ollama: { baseURL: 'http://localhost:11434/v1', model: 'llama3.1', local: true, streamUsage: true, jsonMode: true },
+    llamacpp: { baseURL: 'http://localhost:8080/v1', model: 'default', local: true, jsonMode: true }
+};
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 1000;
+// Rough size of a token, for servers that don't report usage
+const CHARS_PER_TOKEN = 4;
+
+export class AiProviderError extends Error {
+    /**
+     * @param {boolean} retryable - Whether the same provider may succeed if asked again
+     * @param {Object|null} usage - What the failed call was billed for (see measureUsage()), e.g. a
+     *   stream that broke off mid-answer; null when nothing was generated
+     */
+    constructor(provider, message, { status = null, retryable = false, retryAfterMs = null, usage = null } = {}) {
+        super(`${provider}: ${message}`);
+        this.name = 'AiProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+        this.usage = usage;
+    }
+}
+
+/**
+ * Milliseconds from a Retry-After header (seconds or HTTP date)
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+export class OpenAICompatibleProvider {
+    /**
+     * @param {Object} options - { name, baseURL, apiKey, model, timeout, local, pricing, reportsCost, streamUsage, jsonMode }
+     *   pricing - { prompt, completion } in USD per million tokens, null if unknown
+     *   reportsCost - the service returns `usage.cost` in USD when asked to (OpenRouter)
+     *   streamUsage, jsonMode - the service accepts `stream_options` and `response_format` (see PROVIDER_PRESETS)
+     */
+    constructor({ name, baseURL, apiKey = null, model, timeout = DEFAULT_TIMEOUT_MS, local = false, pricing = null, reportsCost = false,
+        streamUsage = false, jsonMode = false }) {
+        this.name = name;
+        this.baseURL = baseURL.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeout = timeout;
+        this.local = local;
+        this.pricing = pricing;
+        this.reportsCost = reportsCost;
+        this.streamUsage = streamUsage;
+        this.jsonMode = jsonMode;
+    }
+
+    /**
+     * Whether requests get a cost: prices are configured or the service reports it
+     */
+    isPriced() {
+        return Boolean(this.pricing) || this.reportsCost;
+    }
+
+    /**
+     * Local servers work without a key, hosted ones are skipped until it is set
+     */
+    isConfigured() {
+        return this.local || Boolean(this.apiKey);
+    }
+
+    /**
+     * POST to chat/completions, turning HTTP and network failures into AiProviderError
+     */
+    async post(body, axiosOptions = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        try {
+            return await axios.post(`${this.baseURL}/chat/completions`, body, { headers, timeout: this.timeout, ...axiosOptions });
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+
+    wrapError(error) {
+        if (error instanceof AiProviderError) return error;
+
+        const status = error.response?.status ?? null;
+        // Rate limits, server errors and network failures are worth another try
+        const retryable = status === null || status === 429 || status >= 500;
+        // A streamed error body can't be printed
+        const data = error.response?.data;
+        const detail = data && typeof data.pipe !== 'function' ? ` ${JSON.stringify(data)}` : '';
+        return new AiProviderError(this.name, `${error.message}${detail}`, {
+            status,
+            retryable,
+            retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after'])
+        });
+    }
+
+    /**
+     * Request body; `json` asks for a JSON object answer where the service supports it,
+     * otherwise the prompt alone asks for JSON
+     */
+    buildBody(messages, { model = this.model, temperature = 0.7, maxTokens = 1000, json = false } = {}) {
+        const body = { model, messages, temperature, max_tokens: maxTokens };
+        if (json && this.jsonMode) {
+            body.response_format = { type: 'json_object' };
+        }
+        if (this.reportsCost) {
+            body.usage = { include: true };
+        }
+        return body;
+    }
+
+    /**
+     * Token counts and cost of one call. The cost the service reports is used
+     * as is, otherwise it is estimated from the prices. Servers that don't
+     * report usage get an estimate from the text length.
+     * @param {Object|undefined} reported - `usage` of the response
+     * @returns {{ promptTokens: number, completionTokens: number, cost: number|null, estimated: boolean }}
+     */
+    measureUsage(reported, messages, content) {
+        const estimated = !Number.isFinite(reported?.prompt_tokens) || !Number.isFinite(reported?.completion_tokens);
+        const promptTokens = estimated ? estimateTokens(messages.map(message => message.content).join('\n')) : reported.prompt_tokens;
+        const completionTokens = estimated ? estimateTokens(content) : reported.completion_tokens;
+        let cost = null;
+        if (Number.isFinite(reported?.cost)) {
+            cost = reported.cost;
+        } else if (this.pricing) {
+            cost = (promptTokens * this.pricing.prompt + completionTokens * this.pricing.completion) / 1e6;
+        }
+        return { promptTokens, completionTokens, cost, estimated };
+    }
+
+    /**
+     * Request a chat completion
+     * @param {Object} options - { model, temperature, maxTokens, json }
+     * @returns {Promise<{ content: string, model: string, usage: Object, finishReason: string|null }>}
+     *   usage - see measureUsage(); finishReason - "length" when the answer was cut off at maxTokens
+     */
+    async complete(messages, options = {}) {
+        const body = this.buildBody(messages, options);
+        const response = await this.post(body);
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string' || content.trim().length === 0) {
+            // The prompt is billed even when the answer is empty
+            throw new AiProviderError(this.name, 'empty response', {
+                retryable: true,
+                usage: this.measureUsage(response.data?.usage, messages, content)
+            });
+        }
+        return {
+            content: content.trim(),
+            model: response.data.model || body.model,
+            usage: this.measureUsage(response.data.usage, messages, content),
+            finishReason: response.data.choices[0].finish_reason ?? null
+        };
+    }
+
+    /**
+     * Request a streamed chat completion (server-sent events)
+     * @param {Function} onDelta - Called with the text received so far after every chunk
+     * @returns {Promise<{ content: string, model: string, usage: Object, finishReason: string|null }>}
+     */
+    async stream(messages, options, onDelta) {
+        const body = this.buildBody(messages, options);
+        const streamBody = { ...body, stream: true };
+        // Usage comes in the last chunk when asked for; without it the usage is estimated
+        if (this.streamUsage) {
+            streamBody.stream_options = { include_usage: true };
+        }
+        const response = await this.post(streamBody, { responseType: 'stream' });
+
+        // Multi-byte characters may be split between chunks
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let content = '';
+        let usedModel = body.model;
+        let usage;
+        let finishReason = null;
+
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) return;
+
+            const payload = trimmed.slice('data:'.length).trim();
+            if (payload === '[DONE]') return;
+
+            let event;
+            try {
+                event = JSON.parse(payload);
+            } catch (error) {
+                // Keep-alive comments and partial lines are skipped
+                return;
+            }
+            if (event.error) {
+                throw new AiProviderError(this.name, event.error.message || JSON.stringify(event.error), { retryable: true });
+            }
+            if (event.model) usedModel = event.model;
+            if (event.usage) usage = event.usage;
+            if (event.choices?.[0]?.finish_reason) finishReason = event.choices[0].finish_reason;
+
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(content);
+            }
+        };
+
+        try {
+            for await (const chunk of response.data) {
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(handleLine);
+            }
+            handleLine(buffer + decoder.decode());
+        } catch (error) {
+            const wrapped = this.wrapError(error);
+            // Whatever was generated before the stream broke off is billed all the same
+            if (content.length > 0 || usage) {
+                wrapped.usage = this.measureUsage(usage, messages, content);
+            }
+            throw wrapped;
+        }
+
+        if (content.trim().length === 0) {
+            throw new AiProviderError(this.name, 'empty response', { retryable: true, usage: this.measureUsage(usage, messages, content) });
+        }
+        return { content: content.trim(), model: usedModel, usage: this.measureUsage(usage, messages, content), finishReason };
+    }
+}
+
+function isValidPricing(pricing) {
+    return Boolean(pricing) && ['prompt', 'completion'].every(key => Number.isFinite(pricing[key]) && pricing[key] >= 0);
+}
+
+/**
+ * Provider chain settings from AI_CONFIG (YAML/JSON file) or environment variables:
+ *
+ *   AI_PROVIDERS=openrouter,ollama       # fallback order, default: openrouter
+ *   AI_OLLAMA_BASE_URL=http://ollama:11434/v1
+ *   AI_OLLAMA_MODEL=qwen2.5
+ *   AI_<NAME>_API_KEY                     # defaults to the preset's variable, e.g. OPENROUTER_API_KEY
+ *   AI_RETRIES=2  AI_BACKOFF_MS=1000
+ *   AI_<NAME>_PRICE_PROMPT=0.27  AI_<NAME>_PRICE_COMPLETION=1.1   # USD per million tokens, for cost accounting
+ *   AI_<NAME>_STREAM_USAGE=true  AI_<NAME>_JSON_MODE=true          # override the preset's support of these fields
+ *
+ * The file has the same fields: { providers: [{ name, type, baseURL, model, apiKeyEnv, timeout, pricing, streamUsage, jsonMode }],
+ * retries, backoffMs },
+ * `pricing` being { prompt, completion }. Local presets cost nothing unless priced; OpenRouter
+ * reports the cost itself, prices set for it are used only when a response lacks it.
+ * @returns {{ providers: OpenAICompatibleProvider[], retries: number, backoffMs: number }}
+ */
+export function loadProviderConfig(env = process.env) {
+    let settings;
+    if (env.AI_CONFIG) {
+        const raw = fs.readFileSync(env.AI_CONFIG, 'utf8');
+        settings = env.AI_CONFIG.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+        if (!settings || !Array.isArray(settings.providers) || settings.providers.length === 0) {
+            throw new Error(`${env.AI_CONFIG}: "providers" must be a non-empty list`);
+        }
+    } else {
+        const names = (env.AI_PROVIDERS || 'openrouter').split(',').map(name => name.trim()).filter(Boolean);
+        settings = {
+            providers: names.map(name => {
+                const prefix = `AI_${name.toUpperCase().replace(/\W/g, '_')}_`;
+                return {
+                    name,
+                    baseURL: env[`${prefix}BASE_URL`],
+                    model: env[`${prefix}MODEL`],
+                    apiKey: env[`${prefix}API_KEY`],
+                    pricing: env[`${prefix}PRICE_PROMPT`] !== undefined || env[`${prefix}PRICE_COMPLETION`] !== undefined
+                        ? { prompt: Number(env[`${prefix}PRICE_PROMPT`] ?? 0), completion: Number(env[`${prefix}PRICE_COMPLETION`] ?? 0) }
+                        : undefined,
+                    streamUsage: env[`${prefix}STREAM_USAGE`] !== undefined ? env[`${prefix}STREAM_USAGE`] === 'true' : undefined,
+                    jsonMode: env[`${prefix}JSON_MODE`] !== undefined ? env[`${prefix}JSON_MODE`] === 'true' : undefined
+                };
+            }),
+            retries: env.AI_RETRIES !== undefined ? Number(env.AI_RETRIES) : undefined,
+            backoffMs: env.AI_BACKOFF_MS !== undefined ? Number(env.AI_BACKOFF_MS) : undefined
+        };
+    }
+
+    const providers = settings.providers.map(entry => {
+        const preset = PROVIDER_PRESETS[entry.type || entry.name] || {};
+        const baseURL = entry.baseURL || preset.baseURL;
+        const model = entry.model || preset.model;
+        if (!baseURL || !model) {
+            throw new Error(`AI provider "${entry.name}" needs "baseURL" and "model" (no preset for it)`);
+        }
+        const apiKeyEnv = entry.apiKeyEnv || preset.apiKeyEnv;
+        const local = entry.local ?? preset.local ?? !apiKeyEnv;
+        if (entry.pricing !== undefined && !isValidPricing(entry.pricing)) {
+            throw new Error(`AI provider "${entry.name}" "pricing" must be { prompt, completion } in USD per million tokens`);
+        }
+        return new OpenAICompatibleProvider({
+            name: entry.name,
+            baseURL,
+            model,
+            apiKey: entry.apiKey || (apiKeyEnv ? env[apiKeyEnv] : null) || null,
+            timeout: entry.timeout || DEFAULT_TIMEOUT_MS,
+            local,
+            pricing: entry.pricing ?? (local ? { prompt: 0, completion: 0 } : null),
+            reportsCost: preset.reportsCost ?? false,
+            streamUsage: entry.streamUsage ?? preset.streamUsage ?? false,
+            jsonMode: entry.jsonMode ?? preset.jsonMode ?? false
+        });
+    });
+
+    const retries = Number.isInteger(settings.retries) && settings.retries >= 0 ? settings.retries : DEFAULT_RETRIES;
+    const backoffMs = Number.isFinite(settings.backoffMs) && settings.backoffMs >= 0 ? settings.backoffMs : DEFAULT_BACKOFF_MS;
+    return { providers, retries, backoffMs };
+}
@@ -0,0 +1,125 @@
+/**
+ * Structured Analysis
+ * A lesson may declare the sections its analysis consists of:
+ *
+ *   ai:
+ *     output:
+ *       - id: portrait
+ *         title: "Общий портрет"
+ *       - id: patterns
+ *         title: "Ключевые паттерны"
+ *
+ * The model is then asked for a JSON object with one string per section id,
+ * which is checked here before it's shown or stored.
+ */
+
+const FIELD_ID_PATTERN = /^[a-z][a-z0-9_]*$/i;
+
+/**
+ * Validate the `ai.output` list of a lesson
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validateOutputSchema(output) {
+    if (!Array.isArray(output) || output.length === 0) {
+        return ['"ai.output" must be a non-empty list of { id, title }'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    output.forEach((field, i) => {
+        const id = field?.id;
+        if (typeof id !== 'string' || !FIELD_ID_PATTERN.test(id)) {
+            errors.push(`"ai.output" item ${i + 1} "id" must be a word like "portrait" or "key_question"`);
+        } else if (seen.has(id)) {
+            errors.push(`"ai.output" item ${i + 1} repeats the id "${id}"`);
+        }
+        seen.add(id);
+        if (typeof field?.title !== 'string' || field.title.trim().length === 0) {
+            errors.push(`"ai.output" item ${i + 1} "title" is required`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * The object literal the model should answer with, for the prompt
+ */
+export function describeOutputSchema(output) {
+    const lines = output.map(({ id, title }) => `  "${id}": "<${title}>"`);
+    return `{\n${lines.join(',\n')}\n}`;
+}
+
+/**
+ * Section text from a JSON value; lists are accepted as lines
+ */
+function fieldText(value) {
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'number') return String(value);
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+        return value.map(item => item.trim()).filter(Boolean).join('\n');
+    }
+    return '';
+}
+
+/**
+ * Parse the model's answer against the schema. Code fences and text around
+ * the object are ignored.
+ * @returns {{ sections: Array, missing: string[], invalidJson: boolean }}
+ *   sections - [{ id, title, text }] in schema order, only the ones present;
+ *   missing - titles of sections that are absent or empty
+ */
+export function parseStructured(content, output) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+
+    let data = null;
+    if (start !== -1 && end > start) {
+        try {
+            data = JSON.parse(content.slice(start, end + 1));
+        } catch (error) {
+            // Usually an answer cut off by the token limit
+            data = null;
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { sections: [], missing: output.map(field => field.title), invalidJson: true };
+    }
+
+    const sections = [];
+    const missing = [];
+    for (const { id, title } of output) {
+        const text = fieldText(data[id]);
+        if (text) {
+            sections.push({ id, title, text });
+        } else {
+            missing.push(title);
+        }
+    }
+    return { sections, missing, invalidJson: false };
+}
+
+/**
+ * Best-effort sections from incomplete JSON, e.g. while it streams in or when
+ * the answer was cut off. The last section may be unfinished.
+ * @returns {Array} [{ id, title, text }]
+ */
+export function extractPartialSections(content, output) {
+    const sections = [];
+    for (const { id, title } of output) {
+        const match = content.match(new RegExp(`"${id}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+        if (!match) continue;
+
+        // Drop a half-received escape sequence before decoding
+        const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$|\\$/, '');
+        let text;
+        try {
+            text = JSON.parse(`"${raw}"`);
+        } catch (error) {
+            text = raw.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+        }
+        if (text.trim()) {
+            sections.push({ id, title, text: text.trim() });
+        }
+    }
+    return sections;
+}
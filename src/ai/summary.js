@@ -1,5 +1,32 @@
-import axios from 'axios';
+import aiClient from './client.js';
 import { getTranslations, getChainConfig } from '../config/translations.js';
+import { describeRepeats, labelAnswer, labelQuestion } from '../config/questionTypes.js';
+import { analyzeRepeats, formatLoopFindings } from '../analysis/loops.js';
+import { groupBySection } from '../config/sections.js';
+import { describeOutputSchema, extractPartialSections, parseStructured } from './structured.js';
+import { pickTemplate } from './promptTemplates.js';
+import { assertBudget, BudgetExceededError, checkBudget } from './budget.js';
+import usageStore from '../storage/usageStore.js';
+import { summariesTotal } from '../monitoring/metrics.js';
+
+// Defaults when the lesson doesn't set ai.maxTokens
+const SUMMARY_MAX_TOKENS = 1000;
+const REFLECTION_MAX_TOKENS = 300;
+// A structured analysis is JSON with a paragraph or two per section; room for it unless the lesson sets ai.maxTokens
+const STRUCTURED_TOKENS_PER_SECTION = 400;
+// A structured analysis cut off at the limit is asked again with twice the room, up to this
+const STRUCTURED_MAX_TOKENS = 8000;
+// Extra requests when a structured analysis doesn't match the lesson's schema
+const MAX_REPAIR_ATTEMPTS = 1;
+// Length of one reply in the follow-up discussion, unless DISCUSS_MAX_TOKENS is set
+const DISCUSS_MAX_TOKENS = 500;
+
+/**
+ * Clean output: remove # (headers not supported in V1)
+ */
+function cleanContent(text) {
+    return text.replace(/[#]/g, '');
+}
 
 /**
  * AI Summary Service
@@ -7,87 +34,313 @@ import { getTranslations, getChainConfig } from '../config/translations.js';
  * Supports Russian and Ukrainian languages.
  */
 class SummaryService {
-    constructor() {
-        this.baseURL = 'https://openrouter.ai/api/v1';
-        this.model = 'deepseek/deepseek-chat';
+    /**
+     * Q&A text for the prompt, grouped under section headings when the lesson has sections.
+     * Structured answers and repeat iterations are labelled,
+     * e.g. "Вопрос 16 (повтор 1 из 20):" / "Ответ (шкала 1–10): 7"
+     */
+    formatAnswers(questionsAndAnswers, t, config) {
+        const formatOne = (qa) => {
+            const questionLabel = labelQuestion(config.ai.questionLabel(qa.number), t.repeat, qa);
+            return `${questionLabel} ${qa.question}\n${labelAnswer(config.ai.answerLabel, t.answerTypes, qa)} ${qa.answer}`;
+        };
+
+        return groupBySection(questionsAndAnswers)
+            .map(({ title, answers }) => {
+                const block = answers.map(formatOne).join('\n\n');
+                return title ? `${t.sections.promptHeading(title)}\n\n${block}` : block;
+            })
+            .join('\n\n');
+    }
+
+    /**
+     * Answers with the repeat counts and local loop findings, as the analysis sees them
+     */
+    buildQaText(questionsAndAnswers, t, config) {
+        let qaText = this.formatAnswers(questionsAndAnswers, t, config);
+
+        // Tell the model how many iterations of each repeat block were actually done
+        const repeatNotes = describeRepeats(t.repeat, questionsAndAnswers);
+        if (repeatNotes.length > 0) {
+            qaText += '\n\n' + repeatNotes.join('\n');
+        }
+
+        // Local loop detection, so the model doesn't have to guess where answers start cycling
+        const loopFindings = formatLoopFindings(t.loops, analyzeRepeats(questionsAndAnswers));
+        if (loopFindings.length > 0) {
+            qaText += `\n\n${t.loops.promptIntro}\n${loopFindings.join('\n')}`;
+        }
+        return qaText;
+    }
+
+    /**
+     * Send a chat completion request through the provider chain and record its usage,
+     * including the attempts that failed after being billed
+     * @param {Object} aiConfig - Lesson `ai` section with optional model/temperature/maxTokens overrides
+     * @param {Object} options - { maxTokens } default, `json` to ask for a JSON object and
+     *   `usage` - { chatId, chain, lang, kind } the request is accounted to
+     * @param {Function} [onDelta] - Stream the answer, receiving the cleaned-up text so far
+     * @returns {Promise<{ content: string, provider: string, model: string, usage: Object }>}
+     */
+    async requestCompletion(messages, aiConfig, { maxTokens, json = false, usage }, onDelta = null) {
+        let result;
+        try {
+            result = await aiClient.complete(messages, {
+                model: aiConfig.model,
+                temperature: aiConfig.temperature,
+                maxTokens: aiConfig.maxTokens ?? maxTokens,
+                json
+            }, onDelta && ((text) => onDelta(cleanContent(text))));
+        } catch (error) {
+            // Attempts that broke off mid-answer were billed even though the request failed
+            for (const attempt of error.failedAttempts || []) usageStore.record(usage, attempt);
+            throw error;
+        }
+
+        for (const attempt of result.failedAttempts) usageStore.record(usage, attempt);
+        usageStore.record(usage, result);
+        return { ...result, content: cleanContent(result.content) };
+    }
+
+    /**
+     * Short reflections on the sections marked with `reflect: true`.
+     * A section whose request fails is left out; the overall analysis doesn't depend on them,
+     * so the rest are skipped as soon as the user is over budget. Their usage is recorded
+     * as `reflection`.
+     * @returns {Promise<Array>} [{ title, text }]
+     */
+    async generateSectionReflections(questionsAndAnswers, lang = 'ru', chain = 1, userId = null) {
+        const t = getTranslations(lang);
+        const config = getChainConfig(lang, chain);
+        const reflected = new Set(config.sections.filter(section => section.reflect).map(section => section.title));
+
+        if (!aiClient.isAvailable() || reflected.size === 0 || checkBudget(userId)) {
+            return [];
+        }
+
+        const reflections = [];
+        for (const { title, answers } of groupBySection(questionsAndAnswers)) {
+            if (!reflected.has(title)) continue;
+            // The analysis or an earlier reflection may have used up the budget
+            if (checkBudget(userId)) break;
+
+            try {
+                const { content } = await this.requestCompletion([
+                    { role: 'system', content: t.sections.reflectionSystem },
+                    { role: 'user', content: t.sections.reflectionPrompt(title, this.formatAnswers(answers.map(({ section, ...qa }) => qa), t, config)) }
+                ], { ...config.ai, maxTokens: undefined }, {
+                    maxTokens: REFLECTION_MAX_TOKENS,
+                    usage: { chatId: userId, chain, lang, kind: 'reflection' }
+                });
+                reflections.push({ title, text: content });
+            } catch (error) {
+                console.error(`❌ AI: Reflection for "${title}" failed:`, error.message);
+            }
+        }
+        return reflections;
+    }
+
+    /**
+     * Request the analysis; throws when no provider answers or the user is over budget (BudgetExceededError)
+     * @param {Function} [onDelta] - Receives the partial analysis while it streams in
+     * @param {Object} [options] - { variantId, userId, kind }: one of the lesson's `ai.variants`, added to the
+     *   system prompt, the user whose prompt version is used and who pays for the request, and the usage kind
+     *   (summary, regeneration or deferred)
+     * @returns {Promise<{ text: string, analysis: Array|null, provider: string, model: string,
+     *   promptVersion: string, promptHash: string, variant: string|null }>}
+     *   analysis - [{ id, title, text }] when the lesson declares `ai.output`
+     */
+    async analyze(questionsAndAnswers, lang = 'ru', chain = 1, onDelta = null, options = {}) {
+        try {
+            const result = await this.requestAnalysis(questionsAndAnswers, lang, chain, onDelta, options);
+            summariesTotal.inc({ result: 'generated' });
+            return result;
+        } catch (error) {
+            summariesTotal.inc({ result: error instanceof BudgetExceededError ? 'over_budget' : 'failed' });
+            throw error;
+        }
+    }
+
+    /**
+     * analyze() without the metrics
+     */
+    async requestAnalysis(questionsAndAnswers, lang, chain, onDelta, { variantId = null, userId = null, kind = 'summary' }) {
+        assertBudget(userId);
+
+        const t = getTranslations(lang);
+        const config = getChainConfig(lang, chain);
+        const qaText = this.buildQaText(questionsAndAnswers, t, config);
+
+        const template = pickTemplate(config.ai.templates, userId, chain);
+        // A variant removed from the lesson in the meantime falls back to the plain prompt
+        const variant = config.ai.variants.find(item => item.id === variantId) || null;
+        const prompt = { promptVersion: template.version, promptHash: template.hash, variant: variant?.id ?? null };
+
+        const messages = [
+            {
+                role: 'system',
+                content: variant ? `${template.systemPrompt}\n\n${variant.prompt}` : template.systemPrompt
+            },
+            {
+                role: 'user',
+                content: template.userPrompt(qaText)
+            }
+        ];
+
+        const usage = { chatId: userId, chain, lang, kind };
+        if (config.ai.output) {
+            return await this.analyzeStructured(messages, t, config, onDelta, usage, prompt);
+        }
+
+        const { content, provider, model } = await this.requestCompletion(messages, config.ai, { maxTokens: SUMMARY_MAX_TOKENS, usage }, onDelta);
+
+        console.log(`✅ AI: Response received from ${provider} (${model}, prompt ${template.version})`);
+        return { text: content, analysis: null, provider, model, ...prompt };
+    }
+
+    /**
+     * Request the analysis as JSON with the lesson's output sections. An answer cut off
+     * at the token limit is asked again with more room; one that isn't valid JSON or
+     * misses sections is sent back to the model with the problems. If it still doesn't
+     * match, whatever sections can be read from it are kept.
+     * Throws if not a single section can be read, so the user gets the fallback and a deferred analysis.
+     * @param {Object} usage - Accounting of the request, repairs are accounted as "repair"
+     * @param {Object} prompt - { promptVersion, promptHash, variant } of the request
+     * @returns {Promise<{ text: string, analysis: Array, provider: string, model: string,
+     *   promptVersion: string, promptHash: string, variant: string|null }>}
+     */
+    async analyzeStructured(messages, t, config, onDelta, usage, prompt) {
+        const output = config.ai.output;
+        const request = [
+            { role: 'system', content: `${messages[0].content}\n\n${t.analysis.jsonInstruction(describeOutputSchema(output))}` },
+            ...messages.slice(1)
+        ];
+
+        // Show the sections that have arrived instead of raw JSON
+        const preview = onDelta && ((partial) => {
+            const sections = extractPartialSections(partial, output);
+            onDelta(sections.length > 0 ? this.formatAnalysis(t, sections) : t.analysis.preparing);
+        });
+
+        let maxTokens = config.ai.maxTokens ?? Math.max(SUMMARY_MAX_TOKENS, output.length * STRUCTURED_TOKENS_PER_SECTION);
+        const ask = (conversation, requestUsage, onPartial = null) => this.requestCompletion(
+            conversation, { ...config.ai, maxTokens: undefined }, { maxTokens, json: true, usage: requestUsage }, onPartial
+        );
+
+        let result = await ask(request, usage, preview);
+        let parsed = parseStructured(result.content, output);
+
+        for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS && (parsed.invalidJson || parsed.missing.length > 0); attempt++) {
+            const truncated = result.finishReason === 'length';
+
+            // Cut off rather than malformed - the same request with more room
+            if (truncated && maxTokens < STRUCTURED_MAX_TOKENS) {
+                maxTokens = Math.min(maxTokens * 2, STRUCTURED_MAX_TOKENS);
+                console.log(`⚠️ AI: Analysis was cut off at the token limit, asking again with ${maxTokens} tokens`);
+                result = await ask(request, { ...usage, kind: 'repair' });
+                parsed = parseStructured(result.content, output);
+                continue;
+            }
+
+            let problem = t.analysis.missingSections(parsed.missing.join(', '));
+            if (parsed.invalidJson) problem = truncated ? t.analysis.truncated : t.analysis.invalidJson;
+            console.log(`⚠️ AI: Analysis doesn't match the schema (${parsed.invalidJson ? (truncated ? 'cut off' : 'invalid JSON') : `missing: ${parsed.missing.join(', ')}`}), asking again`);
+
+            result = await ask([
+                ...request,
+                { role: 'assistant', content: result.content },
+                { role: 'user', content: t.analysis.repairPrompt(problem) }
+            ], { ...usage, kind: 'repair' });
+            parsed = parseStructured(result.content, output);
+        }
+
+        let sections = parsed.sections;
+        if (parsed.invalidJson) {
+            sections = extractPartialSections(result.content, output);
+        }
+        if (parsed.invalidJson || parsed.missing.length > 0) {
+            console.error(`❌ AI: Analysis still doesn't match the schema, keeping ${sections.length} of ${output.length} section(s)`);
+        }
+
+        const { provider, model } = result;
+
+        // Nothing readable at all - raw JSON is no analysis to show
+        if (sections.length === 0) {
+            throw new Error(`${provider} (${model}) returned no readable analysis section`);
+        }
+
+        console.log(`✅ AI: Response received from ${provider} (${model}, prompt ${prompt.promptVersion})`);
+        return { text: this.formatAnalysis(t, sections), analysis: sections, provider, model, ...prompt };
     }
 
-    get apiKey() {
-        return process.env.OPENROUTER_API_KEY;
+    /**
+     * Plain analysis text from structured sections, for exports and older clients of `summary`
+     */
+    formatAnalysis(t, sections) {
+        return sections.map(({ title, text }) => t.analysis.section(title, text)).join('\n\n');
+    }
+
+    /**
+     * Reply in the follow-up discussion. The model sees the answers and its own
+     * analysis as the start of the conversation. Throws when no provider answers
+     * or the user is over budget (BudgetExceededError).
+     * @param {Array} discussion - Earlier turns [{ role: 'user'|'assistant', content }]
+     * @returns {Promise<string>}
+     */
+    async discuss(questionsAndAnswers, summary, discussion, message, lang = 'ru', chain = 1, userId = null) {
+        assertBudget(userId);
+
+        const t = getTranslations(lang);
+        const config = getChainConfig(lang, chain);
+
+        const { content, provider, model } = await this.requestCompletion([
+            { role: 'system', content: t.discuss.system },
+            { role: 'user', content: t.discuss.context(this.buildQaText(questionsAndAnswers, t, config)) },
+            { role: 'assistant', content: summary },
+            ...discussion.map(({ role, content }) => ({ role, content })),
+            { role: 'user', content: message }
+        ], { ...config.ai, maxTokens: undefined }, {
+            maxTokens: Number(process.env.DISCUSS_MAX_TOKENS) || DISCUSS_MAX_TOKENS,
+            usage: { chatId: userId, chain, lang, kind: 'discussion' }
+        });
+
+        console.log(`✅ AI: Discussion reply from ${provider} (${model})`);
+        return content;
     }
 
     /**
      * Generates a deep summary based on all user answers.
-     * @param {Array} questionsAndAnswers - Array of {question, answer} objects
+     * @param {Array} questionsAndAnswers - Array of {question, answer, number} objects along the user's path
      * @param {string} lang - Language code ('ru' or 'uk')
+     * @param {Function} [onDelta] - Receives the partial analysis while it streams in
+     * @param {Object} [options] - { variantId, userId, kind }, see analyze()
+     * @returns {Promise<{ text: string, analysis: Array|null, provider: string|null, model: string|null,
+     *   promptVersion: string|null, promptHash: string|null, variant: string|null }>}
+     *   The analysis and what produced it; everything but the text is null for the lesson's fallback text,
+     *   which is also returned when the user is over budget
      */
-    async generateSummary(questionsAndAnswers, lang = 'ru', chain = 1) {
+    async generateSummary(questionsAndAnswers, lang = 'ru', chain = 1, onDelta = null, options = {}) {
         console.log('🔍 AI: Starting summary generation...');
-        console.log('🔍 AI: API Key present:', !!this.apiKey);
+        console.log('🔍 AI: Providers:', aiClient.describe().join(' → ') || 'none');
         console.log('🔍 AI: Number of Q&A pairs:', questionsAndAnswers.length);
         console.log('🔍 AI: Language:', lang);
         console.log('🔍 AI: Chain:', chain);
 
-        const t = getTranslations(lang);
         const config = getChainConfig(lang, chain);
+        const fallback = { text: config.ai.fallback, analysis: null, provider: null, model: null, promptVersion: null, promptHash: null, variant: null };
 
-        if (!this.apiKey) {
-            console.log('❌ AI: No API key - returning fallback');
-            return config.ai.fallback;
+        if (!aiClient.isAvailable()) {
+            console.log('❌ AI: No provider configured - returning fallback');
+            summariesTotal.inc({ result: 'failed' });
+            return fallback;
         }
 
         try {
-            const qaText = questionsAndAnswers
-                .map((qa, i) => `${config.ai.questionLabel(i + 1)} ${qa.question}\n${config.ai.answerLabel} ${qa.answer}`)
-                .join('\n\n');
-
-            console.log('🔍 AI: Making API request to:', this.baseURL);
-
-            const response = await axios.post(
-                `${this.baseURL}/chat/completions`,
-                {
-                    model: this.model,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: config.ai.systemPrompt
-                        },
-                        {
-                            role: 'user',
-                            content: config.ai.userPrompt(qaText)
-                        }
-                    ],
-                    temperature: 0.7,
-                    max_tokens: 1000
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 120000
-                }
-            );
-
-            console.log('✅ AI: Response received successfully');
-            let content = response.data.choices[0].message.content.trim();
-
-            // Clean output: remove #, *, / characters
-            // Clean output: remove # (headers not supported in V1)
-            content = content.replace(/[#]/g, '');
-
-            return content;
-
+            return await this.analyze(questionsAndAnswers, lang, chain, onDelta, options);
         } catch (error) {
+            // Every provider in the chain failed, or the budget is used up
             console.error('❌ AI Error:', error.message);
-            if (error.response) {
-                console.error('❌ AI Response Status:', error.response.status);
-                console.error('❌ AI Response Data:', JSON.stringify(error.response.data, null, 2));
-            }
-            if (error.code) {
-                console.error('❌ AI Error Code:', error.code);
-            }
-            return config.ai.fallback;
+            return fallback;
         }
     }
 }
@@ -0,0 +1,166 @@
+/**
+ * Loop Detection
+ * Local text-similarity analysis of repeat blocks: finds the iteration where
+ * answers start to cycle and groups near-duplicate answers. The findings are
+ * deterministic and go into the AI prompt and the export, so the model doesn't
+ * have to guess where the user began repeating themselves.
+ */
+
+const SIMILARITY_THRESHOLD = 0.5;
+const MIN_STEM_LENGTH = 3;
+
+// Longest suffixes first; a lightweight stand-in for a real stemmer
+const CYRILLIC_SUFFIXES = [
+    'ться', 'ется', 'ются', 'ішся', 'ати', 'ити', 'ами', 'ями', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими',
+    'ешь', 'ють', 'ать', 'ить', 'ять', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ый', 'ий', 'ой', 'ій', 'ам', 'ям',
+    'ах', 'ях', 'ом', 'ем', 'ов', 'ев', 'ів', 'ей', 'ия', 'ью', 'ою', 'ею', 'их', 'ть', 'ет', 'ют', 'ут',
+    'ит', 'ят', 'ає', 'ує', 'ил', 'ла', 'ли', 'ло', 'а', 'я', 'о', 'е', 'ы', 'и', 'і', 'ї', 'у', 'ю', 'ь', 'й'
+];
+const LATIN_SUFFIXES = ['ingly', 'edly', 'ing', 'ies', 'ied', 'ed', 'ly', 'es', 's'];
+
+const STOP_WORDS = new Set([
+    // ru
+    'и', 'в', 'во', 'на', 'что', 'это', 'я', 'меня', 'мне', 'с', 'со', 'а', 'но', 'как', 'то', 'так',
+    'же', 'бы', 'по', 'к', 'у', 'за', 'из', 'от', 'до', 'ну', 'вот', 'потому', 'получилось', 'вышло',
+    // uk
+    'що', 'це', 'та', 'й', 'і', 'мені', 'мене', 'бо', 'тому', 'вийшло', 'як', 'але',
+    // en
+    'the', 'a', 'an', 'and', 'to', 'of', 'i', 'me', 'my', 'it', 'that', 'is', 'because', 'so', 'happened'
+]);
+
+/**
+ * Lowercase, unify ё/е and apostrophes, drop punctuation
+ */
+export function normalizeText(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/ё/g, 'е')
+        .replace(/[’ʼ`']/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Strip the longest known ending, keeping a stem of at least three letters
+ */
+export function stem(word) {
+    const suffixes = /[а-яіїєґ]/.test(word) ? CYRILLIC_SUFFIXES : LATIN_SUFFIXES;
+    for (const suffix of suffixes) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+            return word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+function stems(text) {
+    return normalizeText(text)
+        .split(' ')
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+function trigrams(tokens) {
+    const joined = ` ${tokens.join(' ')} `;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= joined.length; i++) {
+        grams.add(joined.slice(i, i + 3));
+    }
+    return grams;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    for (const item of a) {
+        if (b.has(item)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two answers from 0 to 1: the mean of word-stem and
+ * character-trigram Jaccard similarity, so both reworded and slightly
+ * misspelled repeats are caught.
+ */
+export function similarity(first, second) {
+    const a = stems(first);
+    const b = stems(second);
+    return (jaccard(new Set(a), new Set(b)) + jaccard(trigrams(a), trigrams(b))) / 2;
+}
+
+/**
+ * Analyse the answers of one repeat block
+ * @param {string[]} answers - Answers in iteration order
+ * @returns {{ loopStart: number|null, echoOf: number|null, clusters: number[][] }}
+ *   `loopStart` is the first iteration (1-based) that repeats an earlier one,
+ *   `echoOf` the iteration it repeats, `clusters` groups of similar iterations
+ */
+export function detectLoops(answers, threshold = SIMILARITY_THRESHOLD) {
+    // Union-find over pairs of similar answers
+    const parent = answers.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    let loopStart = null;
+    let echoOf = null;
+
+    for (let j = 1; j < answers.length; j++) {
+        for (let i = 0; i < j; i++) {
+            if (similarity(answers[i], answers[j]) >= threshold) {
+                parent[find(j)] = find(i);
+                if (loopStart === null) {
+                    loopStart = j + 1;
+                    echoOf = i + 1;
+                }
+            }
+        }
+    }
+
+    const groups = new Map();
+    answers.forEach((_, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i + 1);
+    });
+
+    const clusters = [...groups.values()].filter(group => group.length > 1);
+    return { loopStart, echoOf, clusters };
+}
+
+/**
+ * Run loop detection over every repeat block in a transcript
+ * @param {Array} transcript - Answers along the user's path, with `repeat` info
+ * @returns {Array} [{ text, done, count, loopStart, echoOf, clusters }]
+ */
+export function analyzeRepeats(transcript) {
+    const blocks = new Map();
+    for (const qa of transcript) {
+        if (!qa.repeat) continue;
+        if (!blocks.has(qa.repeat.group)) {
+            blocks.set(qa.repeat.group, { text: qa.question, count: qa.repeat.count, answers: [] });
+        }
+        blocks.get(qa.repeat.group).answers.push(qa.answer);
+    }
+
+    return [...blocks.values()].map(block => ({
+        text: block.text,
+        count: block.count,
+        done: block.answers.length,
+        ...detectLoops(block.answers)
+    }));
+}
+
+/**
+ * Human-readable findings in the session language
+ * @param {Object} labels - `loops` strings from translations
+ */
+export function formatLoopFindings(labels, findings) {
+    return findings.map(finding => {
+        if (finding.loopStart === null) {
+            return labels.none(finding.text);
+        }
+        const clusters = finding.clusters.map(group => group.join(', ')).join('; ');
+        return `${labels.start(finding.text, finding.loopStart, finding.echoOf)} ${labels.clusters(clusters)}`;
+    });
+}
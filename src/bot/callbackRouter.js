@@ -0,0 +1,146 @@
+import botService from './service.js';
+import chatQueue from './chatQueue.js';
+
+/**
+ * Callback Router
+ * Inline buttons carry structured payloads: an action and its parameters
+ * separated by colons, e.g. "lang:uk", "chain:2", "answer:4:opt:1".
+ * Handlers register per action; a button whose action is unknown, or whose
+ * handler returns false because the button no longer applies (an expired
+ * session, a question that was already answered), goes to the stale handler
+ * so the user gets an answer instead of silence.
+ *
+ * Handlers of one chat run one at a time (see chatQueue.js). Actions
+ * registered with { dropWhenBusy: true } start something that must not run
+ * twice (e.g. an analysis): pressed while the chat is still busy, they only
+ * get the busy notice.
+ */
+
+const SEPARATOR = ':';
+// Telegram's limit for callback_data
+const MAX_PAYLOAD_BYTES = 64;
+
+/**
+ * Build the callback_data of a button
+ * @throws {Error} If a parameter contains the separator or the payload is too long
+ */
+export function encodeCallback(action, ...params) {
+    const parts = [action, ...params.map(String)];
+    if (parts.some(part => part.includes(SEPARATOR))) {
+        throw new Error(`Callback payload parts must not contain "${SEPARATOR}": ${parts.join(', ')}`);
+    }
+    const data = parts.join(SEPARATOR);
+    if (Buffer.byteLength(data, 'utf8') > MAX_PAYLOAD_BYTES) {
+        throw new Error(`Callback payload is longer than ${MAX_PAYLOAD_BYTES} bytes: ${data}`);
+    }
+    return data;
+}
+
+/**
+ * @returns {{ action: string, params: string[] }}
+ */
+export function parseCallback(data) {
+    const [action, ...params] = String(data || '').split(SEPARATOR);
+    return { action, params };
+}
+
+class CallbackRouter {
+    constructor() {
+        // action -> { handler(chatId, params, query), dropWhenBusy }
+        this.handlers = new Map();
+        // [{ pattern, rewrite(match) -> [action, ...params] }] for buttons sent before payloads were structured
+        this.legacy = [];
+        this.staleHandler = null;
+        this.busyHandler = null;
+    }
+
+    /**
+     * @param {Object} [options] - { dropWhenBusy }
+     */
+    on(action, handler, { dropWhenBusy = false } = {}) {
+        if (action.includes(SEPARATOR)) {
+            throw new Error(`Callback action must not contain "${SEPARATOR}": ${action}`);
+        }
+        this.handlers.set(action, { handler, dropWhenBusy });
+        return this;
+    }
+
+    /**
+     * Translate an older callback_data format that may still be on buttons in chats
+     */
+    legacyFormat(pattern, rewrite) {
+        this.legacy.push({ pattern, rewrite });
+        return this;
+    }
+
+    /**
+     * Called with (chatId, query) for unknown and stale buttons
+     */
+    onStale(handler) {
+        this.staleHandler = handler;
+        return this;
+    }
+
+    /**
+     * Called with (chatId) for a dropWhenBusy action pressed while the chat is busy;
+     * returns the text of the notice shown on the button
+     */
+    onBusy(handler) {
+        this.busyHandler = handler;
+        return this;
+    }
+
+    /**
+     * Resolve callback_data to an action and its parameters, trying legacy formats for unknown actions
+     */
+    resolve(data) {
+        const parsed = parseCallback(data);
+        if (this.handlers.has(parsed.action)) return parsed;
+
+        for (const { pattern, rewrite } of this.legacy) {
+            const match = String(data || '').match(pattern);
+            if (match) {
+                const [action, ...params] = rewrite(match);
+                return { action, params };
+            }
+        }
+        return parsed;
+    }
+
+    async dispatch(query) {
+        const chatId = query.message?.chat.id;
+        const { action, params } = this.resolve(query.data);
+        const route = this.handlers.get(action);
+
+        // Buttons of inline-mode messages have no chat to act in
+        if (chatId === undefined) {
+            await botService.answerCallbackQuery(query.id);
+            return;
+        }
+
+        if (route?.dropWhenBusy && chatQueue.isBusy(chatId)) {
+            await botService.answerCallbackQuery(query.id, this.busyHandler?.(chatId));
+            return;
+        }
+
+        // Queued before anything is awaited, so a double tap already finds the chat busy
+        const handling = chatQueue.run(chatId, async () => {
+            let handled = false;
+            if (route) {
+                handled = (await route.handler(chatId, params, query)) !== false;
+            } else {
+                console.log(`⚠️ Unknown callback "${query.data}" in chat ${chatId}`);
+            }
+
+            if (!handled && this.staleHandler) {
+                await this.staleHandler(chatId, query);
+            }
+        });
+
+        // Acknowledge the button press right away; the handler may wait for earlier updates of the chat
+        await botService.answerCallbackQuery(query.id);
+        await handling;
+    }
+}
+
+export default new CallbackRouter();
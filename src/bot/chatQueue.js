@@ -0,0 +1,46 @@
+/**
+ * Chat Queue
+ * Updates of one chat are handled one at a time, in the order they arrive,
+ * so two quick messages or a double tap can't both act on the same session
+ * state. Different chats still run concurrently.
+ */
+class ChatQueue {
+    constructor() {
+        // chatId -> { tail: Promise, size: number }
+        this.chats = new Map();
+    }
+
+    /**
+     * Run a task after the chat's earlier tasks have finished
+     * @returns {Promise} The task's result; a failed task doesn't stop the ones after it
+     */
+    run(chatId, task) {
+        const key = String(chatId);
+        const chat = this.chats.get(key) || { tail: Promise.resolve(), size: 0 };
+        chat.size++;
+
+        const result = chat.tail.then(() => task());
+        chat.tail = result.catch(() => {}).then(() => {
+            chat.size--;
+            if (chat.size === 0) this.chats.delete(key);
+        });
+        this.chats.set(key, chat);
+        return result;
+    }
+
+    /**
+     * Whether a task of the chat is running or waiting
+     */
+    isBusy(chatId) {
+        return this.chats.has(String(chatId));
+    }
+
+    /**
+     * Chats with tasks running or waiting
+     */
+    get size() {
+        return this.chats.size;
+    }
+}
+
+export default new ChatQueue();
@@ -0,0 +1,98 @@
+import botService from './service.js';
+import { splitMarkdown } from './render.js';
+
+// Telegram starts rate-limiting at roughly one edit per second per chat
+const EDIT_INTERVAL_MS = 1500;
+
+/**
+ * Live Message
+ * A message that grows in place while text streams in. Edits are throttled,
+ * and once the text gets close to Telegram's limit it continues in a new
+ * message.
+ */
+export class LiveMessage {
+    constructor(chatId) {
+        this.chatId = chatId;
+        this.messageIds = [];
+        this.shown = [];
+        this.pending = null;
+        this.timer = null;
+        this.lastRenderAt = 0;
+        this.rendering = Promise.resolve();
+        // Error of a throttled render, rethrown by finish()
+        this.error = null;
+    }
+
+    /**
+     * Send the first message, e.g. "⏳ Анализирую..."
+     */
+    async start(text) {
+        const message = await botService.sendMessage(this.chatId, text);
+        if (message) {
+            this.messageIds = [message.message_id];
+            this.shown = [text];
+        }
+    }
+
+    /**
+     * Show newer partial text; only the latest text within an interval is rendered
+     */
+    update(text) {
+        this.pending = text;
+        if (this.timer) return;
+
+        const delay = Math.max(0, this.lastRenderAt + EDIT_INTERVAL_MS - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            const next = this.pending;
+            this.pending = null;
+            if (next !== null) {
+                this.rendering = this.rendering.then(() => this.render(next)).catch((error) => {
+                    this.error = error;
+                });
+            }
+        }, delay);
+    }
+
+    /**
+     * Show the complete text; pending partial updates are dropped
+     * @param {string|string[]} text - A list is shown as separate messages
+     * @param {Object} [replyMarkup] - Buttons under the last message
+     */
+    async finish(text, replyMarkup = null) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = null;
+        await this.rendering;
+        // The chat became unreachable while the text streamed in
+        if (this.error) throw this.error;
+        await this.render(text, replyMarkup);
+    }
+
+    async render(text, replyMarkup = null) {
+        this.lastRenderAt = Date.now();
+        // Unclosed markers in partial text are simply shown as typed
+        const pages = [].concat(text).flatMap(part => splitMarkdown(part));
+
+        for (let i = 0; i < pages.length; i++) {
+            const options = replyMarkup && i === pages.length - 1 ? { reply_markup: replyMarkup } : {};
+            if (pages[i] === this.shown[i] && !options.reply_markup) continue;
+
+            if (i < this.messageIds.length) {
+                const edited = await botService.editMessageText(this.chatId, this.messageIds[i], pages[i], options);
+                if (edited) this.shown[i] = pages[i];
+            } else {
+                const message = await botService.sendMessage(this.chatId, pages[i], options);
+                if (!message) return;
+                this.messageIds.push(message.message_id);
+                this.shown.push(pages[i]);
+            }
+        }
+
+        // The text got shorter (a retry started over) - remove pages that are no longer needed
+        while (this.messageIds.length > pages.length) {
+            await botService.deleteMessage(this.chatId, this.messageIds.pop());
+            this.shown.pop();
+        }
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Message Rendering
+ * Turns the Markdown used in lessons, translations and AI output into
+ * Telegram HTML. Only markers that are properly paired become formatting;
+ * everything else, like an unpaired `_` or `[`, is shown as typed, so the
+ * result always parses.
+ *
+ *   **bold**, __bold__, *bold*   -> <b>
+ *   _italic_                     -> <i>
+ *   ~~strike~~                   -> <s>
+ *   `code`, ```block```          -> <code>, <pre>
+ *   [text](https://...)          -> <a>
+ *   # Heading                    -> <b> line
+ *
+ * A single `*` means bold, as in Telegram's legacy Markdown the texts were
+ * written for; like there, `* bold *` with spaces inside the markers is bold
+ * too, as long as it stays on one line.
+ */
+
+// Telegram's limit for one message
+export const MAX_MESSAGE_LENGTH = 4096;
+
+// Placeholders for already rendered fragments; can't occur in normal text
+const STASH = '\u0000';
+
+export function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderInline(text, stash) {
+    const keep = (html) => `${STASH}${stash.push(html) - 1}${STASH}`;
+
+    const html = text
+        // Backslash-escaped markers stay literal
+        .replace(/\\([*_`[\]~\\])/g, (m, char) => keep(escapeHtml(char)))
+        .replace(/`([^`\n]+)`/g, (m, code) => keep(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g,
+            (m, label, url) => keep(`<a href="${escapeHtml(url).replace(/"/g, '&quot;')}">${escapeHtml(label)}</a>`));
+
+    return escapeHtml(html)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<b>$1</b>')
+        .replace(/\*\* ([^*\n]*?[^\s*]) \*\*/g, '<b>$1</b>')
+        .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<b>$2</b>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        .replace(/(^|[^\w*])\*([^\s*](?:[^*]*?[^\s*])?)\*(?![\w*])/g, '$1<b>$2</b>')
+        .replace(/(^|[^\w*])\* ([^*\n]*?[^\s*]) \*(?![\w*])/g, '$1<b>$2</b>')
+        .replace(/(^|\W)_([^\s_](?:[^_]*?[^\s_])?)_(?!\w)/g, '$1<i>$2</i>')
+        .replace(/^#{1,6}\s+(.+)$/gm, '<b>$1</b>');
+}
+
+/**
+ * Render Markdown into Telegram HTML
+ */
+export function renderMarkdown(text) {
+    const stash = [];
+    const keep = (html) => `${STASH}${stash.push(html) - 1}${STASH}`;
+
+    // Code blocks first, their content is never formatted
+    const source = String(text ?? '').replace(/```(?:[\w-]*\n)?([\s\S]*?)```/g, (m, code) => keep(`<pre>${escapeHtml(code.replace(/\n$/, ''))}</pre>`));
+
+    // Formatting never spans paragraphs
+    const html = source.split(/(\n{2,})/)
+        .map(part => (/^\n+$/.test(part) ? part : renderInline(part, stash)))
+        .join('');
+
+    return html.replace(new RegExp(`${STASH}(\\d+)${STASH}`, 'g'), (m, i) => stash[Number(i)]);
+}
+
+/**
+ * Plain text of rendered HTML, for when Telegram still rejects the markup
+ */
+export function toPlainText(html) {
+    return html
+        .replace(/<a href="([^"]*)">([\s\S]*?)<\/a>/g, (m, url, label) => `${label} (${url})`)
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Split a piece that is too long on its own: lines first, then words
+ */
+function splitOversized(text, fits) {
+    const parts = [];
+    let current = '';
+    const tokens = text.includes('\n') ? text.split(/(?<=\n)/) : text.split(/(?<= )/);
+
+    for (const token of tokens) {
+        if (fits(current + token)) {
+            current += token;
+            continue;
+        }
+        if (current) parts.push(current.trimEnd());
+        if (fits(token)) {
+            current = token;
+        } else if (text.includes('\n')) {
+            // A single over-long line - split it by words
+            const words = splitOversized(token, fits);
+            current = words.pop();
+            parts.push(...words);
+        } else {
+            // A single over-long word - cut it
+            let rest = token;
+            while (!fits(rest)) {
+                let size = rest.length;
+                while (size > 1 && !fits(rest.slice(0, size))) size = Math.floor(size / 2);
+                parts.push(rest.slice(0, size));
+                rest = rest.slice(size);
+            }
+            current = rest;
+        }
+    }
+    if (current) parts.push(current);
+    return parts;
+}
+
+/**
+ * Split Markdown into messages that fit Telegram's limit once rendered.
+ * Breaks go between paragraphs where possible, and every part is rendered
+ * on its own, so formatting is never cut in half.
+ * @returns {string[]} Markdown parts
+ */
+export function splitMarkdown(text, max = MAX_MESSAGE_LENGTH) {
+    const fits = (part) => renderMarkdown(part).length <= max;
+    if (fits(text)) return [text];
+
+    const parts = [];
+    let current = '';
+    for (const paragraph of String(text).split(/\n{2,}/)) {
+        const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+        if (fits(candidate)) {
+            current = candidate;
+            continue;
+        }
+        if (current) parts.push(current);
+        if (fits(paragraph)) {
+            current = paragraph;
+        } else {
+            const pieces = splitOversized(paragraph, fits);
+            current = pieces.pop();
+            parts.push(...pieces);
+        }
+    }
+    if (current) parts.push(current);
+    return parts;
+}
@@ -0,0 +1,227 @@
+import { telegramPermanentFailures, telegramRetries, telegramSendErrors } from '../monitoring/metrics.js';
+
+/**
+ * Send Queue
+ * Every outgoing message, file and edit waits for its turn under Telegram's
+ * limits: about 30 messages per second for the bot and about one per second
+ * per chat (short bursts are fine). A 429 pauses the whole bot for
+ * `retry_after` (flood limits are per bot) and the call is repeated. Requests
+ * that never reached Telegram (connection refused, DNS failure) are retried
+ * with backoff; a lost response or a 5xx is retried only for calls that are
+ * safe to repeat (edits, deletes), since a repeated sendMessage or
+ * sendDocument would reach the user twice. Failures that no retry can fix
+ * (the user blocked the bot, the chat is gone) are thrown as TelegramSendError.
+ *
+ *   TELEGRAM_GLOBAL_RATE=30  TELEGRAM_CHAT_RATE=1  TELEGRAM_CHAT_BURST=3
+ */
+
+const DEFAULT_GLOBAL_RATE = 30;
+const DEFAULT_CHAT_RATE = 1;
+const DEFAULT_CHAT_BURST = 3;
+const MAX_RATE_LIMIT_RETRIES = 5;
+const MAX_NETWORK_RETRIES = 3;
+const NETWORK_BACKOFF_MS = 1000;
+// A longer retry_after means a flood ban; the message is given up instead of holding the chat
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+// Idle chats are forgotten once this many are tracked
+const MAX_TRACKED_CHATS = 1000;
+// Calls that change nothing more when repeated, so a lost response may be retried
+const IDEMPOTENT_METHODS = new Set(['editMessageText', 'editMessageReplyMarkup', 'deleteMessage', 'answerCallbackQuery', 'sendChatAction']);
+// Connection failures before anything was sent (the library keeps only the message of the cause)
+const NOT_SENT_PATTERN = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH/;
+
+/**
+ * A message can never be delivered to the chat, e.g. the user blocked the bot
+ */
+export class TelegramSendError extends Error {
+    constructor(method, chatId, reason, cause) {
+        super(`${method} to chat ${chatId} failed (${reason}): ${cause.message}`);
+        this.name = 'TelegramSendError';
+        this.method = method;
+        this.chatId = chatId;
+        // blocked | deactivated | kicked | chat_not_found | forbidden
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+function wait(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && number > 0 ? number : fallback;
+}
+
+/**
+ * Why a chat can't be reached, from Telegram's error description
+ */
+function permanentReason(description) {
+    if (/blocked by the user/i.test(description)) return 'blocked';
+    if (/deactivated/i.test(description)) return 'deactivated';
+    if (/kicked/i.test(description)) return 'kicked';
+    if (/chat not found/i.test(description)) return 'chat_not_found';
+    return 'forbidden';
+}
+
+/**
+ * Sort a failed Telegram call into what can be done about it
+ * @returns {Object} { kind: 'rate_limited', retryAfterMs } | { kind: 'network' } (never reached Telegram) |
+ *   { kind: 'uncertain' } (may have been carried out: the response was lost or a 5xx) |
+ *   { kind: 'permanent', reason } | { kind: 'rejected' } (a bad request the caller handles)
+ */
+export function classifySendError(error) {
+    const status = error.response?.statusCode;
+    const body = typeof error.response?.body === 'object' ? error.response.body : {};
+    const description = body.description || error.message;
+
+    if (status === 429) {
+        const retryAfter = body.parameters?.retry_after ?? Number(description.match(/retry after (\d+)/i)?.[1]);
+        return { kind: 'rate_limited', retryAfterMs: (retryAfter || 1) * 1000 };
+    }
+    if (status === 403 || (status === 400 && /chat not found|user is deactivated/i.test(description))) {
+        return { kind: 'permanent', reason: permanentReason(description) };
+    }
+    if (error.code === 'EFATAL' && NOT_SENT_PATTERN.test(error.message)) {
+        return { kind: 'network' };
+    }
+    if (error.code === 'EFATAL' || error.code === 'EPARSE' || status >= 500) {
+        return { kind: 'uncertain' };
+    }
+    return { kind: 'rejected' };
+}
+
+/**
+ * Token bucket; tokens may go negative, which queues the callers in order
+ */
+class TokenBucket {
+    constructor(rate, capacity) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.pausedUntil = 0;
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate / 1000);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Take a token
+     * @returns {number} Milliseconds to wait before using it
+     */
+    take(now = Date.now()) {
+        this.refill(now);
+        this.tokens -= 1;
+        const waitForToken = this.tokens >= 0 ? 0 : Math.ceil(-this.tokens * 1000 / this.rate);
+        return Math.max(waitForToken, this.pausedUntil - now);
+    }
+
+    isIdle(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= this.capacity && this.pausedUntil <= now;
+    }
+}
+
+class SendQueue {
+    constructor() {
+        this.global = null;
+        // chatId -> TokenBucket
+        this.chats = new Map();
+    }
+
+    globalBucket() {
+        if (!this.global) {
+            const rate = readNumber(process.env.TELEGRAM_GLOBAL_RATE, DEFAULT_GLOBAL_RATE);
+            this.global = new TokenBucket(rate, rate);
+        }
+        return this.global;
+    }
+
+    chatBucket(chatId) {
+        const key = String(chatId);
+        let bucket = this.chats.get(key);
+        if (!bucket) {
+            if (this.chats.size >= MAX_TRACKED_CHATS) this.forgetIdleChats();
+            bucket = new TokenBucket(
+                readNumber(process.env.TELEGRAM_CHAT_RATE, DEFAULT_CHAT_RATE),
+                readNumber(process.env.TELEGRAM_CHAT_BURST, DEFAULT_CHAT_BURST)
+            );
+            this.chats.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    forgetIdleChats() {
+        for (const [key, bucket] of this.chats) {
+            if (bucket.isIdle()) this.chats.delete(key);
+        }
+    }
+
+    /**
+     * Wait until the chat and the bot may send again
+     */
+    async waitTurn(chatId) {
+        await wait(this.chatBucket(chatId).take());
+        await wait(this.globalBucket().take());
+    }
+
+    /**
+     * Make a Telegram call when the limits allow, retrying what can be retried
+     * @param {string} method - Telegram method, for logs and metrics
+     * @param {Function} call - Makes the request; called again on every retry
+     * @throws {TelegramSendError} If the chat can't be reached
+     * @throws {Error} The last error once retries are used up, or a rejected request
+     */
+    async run(chatId, method, call) {
+        const retries = { rate_limited: 0, network: 0 };
+        const idempotent = IDEMPOTENT_METHODS.has(method);
+
+        for (;;) {
+            await this.waitTurn(chatId);
+            try {
+                return await call();
+            } catch (error) {
+                const failure = classifySendError(error);
+
+                if (failure.kind === 'permanent') {
+                    telegramSendErrors.inc({ method });
+                    telegramPermanentFailures.inc({ reason: failure.reason });
+                    console.error(`🚫 Chat ${chatId} is unreachable (${failure.reason}):`, error.message);
+                    throw new TelegramSendError(method, chatId, failure.reason, error);
+                }
+
+                if (failure.kind === 'rate_limited'
+                    && retries.rate_limited < MAX_RATE_LIMIT_RETRIES
+                    && failure.retryAfterMs <= MAX_RETRY_AFTER_MS) {
+                    retries.rate_limited++;
+                    telegramRetries.inc({ method, reason: failure.kind });
+                    console.log(`⏳ ${method} to chat ${chatId} rate limited, retrying in ${failure.retryAfterMs / 1000} s`);
+                    // Flood limits are per bot: every chat waits, not only this one
+                    const pausedUntil = Date.now() + failure.retryAfterMs;
+                    for (const bucket of [this.chatBucket(chatId), this.globalBucket()]) {
+                        bucket.pausedUntil = Math.max(bucket.pausedUntil, pausedUntil);
+                    }
+                    continue;
+                }
+
+                const retryable = failure.kind === 'network' || (failure.kind === 'uncertain' && idempotent);
+                if (retryable && retries.network < MAX_NETWORK_RETRIES) {
+                    const delay = NETWORK_BACKOFF_MS * 2 ** retries.network;
+                    retries.network++;
+                    telegramRetries.inc({ method, reason: failure.kind });
+                    console.log(`⏳ ${method} to chat ${chatId} failed (${error.message}), retrying in ${delay / 1000} s`);
+                    await wait(delay);
+                    continue;
+                }
+
+                throw error;
+            }
+        }
+    }
+}
+
+export default new SendQueue();
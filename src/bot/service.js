@@ -1,4 +1,28 @@
 import TelegramBot from 'node-telegram-bot-api';
+import { renderMarkdown, splitMarkdown, toPlainText } from './render.js';
+import { ALLOWED_UPDATES, createWebhookRoute, readTransportConfig } from './webhook.js';
+import httpServer from '../http/server.js';
+import sendQueue, { TelegramSendError } from './sendQueue.js';
+import { telegramPollingErrors, telegramSendErrors } from '../monitoring/metrics.js';
+
+// How long a getMe result answers readiness checks
+const CONNECTION_CHECK_TTL_MS = 30 * 1000;
+// How long a getWebHookInfo result answers update checks
+const WEBHOOK_CHECK_TTL_MS = 30 * 1000;
+// Polling is stuck after this many failed getUpdates in a row, or this long without a successful one
+// (a long poll returns at least every 10 s)
+const DEFAULT_POLLING_MAX_ERRORS = 5;
+const DEFAULT_POLLING_STALE_SECONDS = 60;
+// The webhook is stuck with more updates waiting than this, or with updates waiting after a recent delivery error
+const DEFAULT_WEBHOOK_MAX_PENDING = 100;
+const WEBHOOK_ERROR_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Telegram rejected the markup (as opposed to the chat or the request itself)
+ */
+function isParseError(error) {
+    return /can't parse|unsupported start tag|can't find end tag/i.test(error.message);
+}
 
 /**
  * Telegram Bot Service
@@ -6,42 +30,340 @@ import TelegramBot from 'node-telegram-bot-api';
 class BotService {
     constructor() {
         this.bot = null;
+        // { mode: 'polling' | 'webhook', ... } - see readTransportConfig()
+        this.transport = null;
+        // Last getMe result: { at, result }
+        this.connectionCheck = null;
+        // Long polling: { startedAt, lastSuccessAt, errors } - errors counts failed getUpdates since the last success
+        this.polling = { startedAt: null, lastSuccessAt: null, errors: 0 };
+        // Last getWebHookInfo check: { at, result }
+        this.webhookCheck = null;
     }
 
+    /**
+     * Create the bot; updates start coming in with start(), once the handlers are registered
+     */
     initialize() {
-        this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
-        console.log('✅ Telegram bot initialized');
+        this.transport = readTransportConfig();
+        const polling = this.transport.mode === 'polling' ? { autoStart: false } : false;
+        this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling });
+        if (polling) this.trackPolling();
+        this.bot.on('polling_error', (error) => {
+            telegramPollingErrors.inc();
+            this.polling.errors++;
+            console.error('❌ Polling error:', error.message);
+        });
+        console.log(`✅ Telegram bot initialized (${this.transport.mode})`);
         return this.bot;
     }
 
+    /**
+     * Record every successful getUpdates of the polling loop; a failed one comes as a polling_error
+     */
+    trackPolling() {
+        const getUpdates = this.bot.getUpdates.bind(this.bot);
+        this.bot.getUpdates = async (...args) => {
+            const updates = await getUpdates(...args);
+            this.polling.lastSuccessAt = Date.now();
+            this.polling.errors = 0;
+            return updates;
+        };
+    }
+
+    /**
+     * Whether the process is set up to receive updates: the polling loop runs or the webhook server listens.
+     * Says nothing about Telegram, so an outage there doesn't look like a dead process.
+     */
+    isRunning() {
+        if (!this.bot || !this.transport) return false;
+        return this.transport.mode === 'polling' ? this.bot.isPolling() : httpServer.isListening();
+    }
+
+    /**
+     * Whether updates are coming in: getUpdates keeps succeeding, or Telegram delivers to the webhook
+     * @returns {Promise<{ ok: boolean, reason?: string }>}
+     */
+    async checkUpdates() {
+        if (!this.bot || !this.transport) return { ok: false, reason: 'not initialized' };
+        return this.transport.mode === 'polling' ? this.checkPolling() : this.checkWebhook();
+    }
+
+    /**
+     * The same without asking Telegram: in webhook mode the last getWebHookInfo result is reused
+     * @returns {{ ok: boolean, reason?: string }}
+     */
+    lastUpdatesStatus() {
+        if (!this.bot || !this.transport) return { ok: false, reason: 'not initialized' };
+        if (this.transport.mode === 'polling') return this.checkPolling();
+        if (!httpServer.isListening()) return { ok: false, reason: 'webhook server is not listening' };
+        return this.webhookCheck?.result ?? { ok: true };
+    }
+
+    checkPolling(now = Date.now()) {
+        if (!this.bot.isPolling()) {
+            return { ok: false, reason: 'polling is not running' };
+        }
+
+        const { startedAt, lastSuccessAt, errors } = this.polling;
+        const maxErrors = Number(process.env.TELEGRAM_POLLING_MAX_ERRORS) || DEFAULT_POLLING_MAX_ERRORS;
+        if (errors >= maxErrors) {
+            return { ok: false, reason: `getUpdates failed ${errors} times in a row` };
+        }
+
+        const staleSeconds = Number(process.env.TELEGRAM_POLLING_STALE_SECONDS) || DEFAULT_POLLING_STALE_SECONDS;
+        const idleSeconds = Math.round((now - (lastSuccessAt ?? startedAt ?? now)) / 1000);
+        if (idleSeconds > staleSeconds) {
+            return { ok: false, reason: `no successful getUpdates for ${idleSeconds} s` };
+        }
+        return { ok: true };
+    }
+
+    /**
+     * Ask Telegram how the webhook deliveries go; the result is reused for a short while
+     */
+    async checkWebhook(now = Date.now()) {
+        if (!httpServer.isListening()) {
+            return { ok: false, reason: 'webhook server is not listening' };
+        }
+        if (this.webhookCheck && now - this.webhookCheck.at < WEBHOOK_CHECK_TTL_MS) {
+            return this.webhookCheck.result;
+        }
+
+        let result = { ok: true };
+        try {
+            const info = await this.bot.getWebHookInfo();
+            const maxPending = Number(process.env.TELEGRAM_WEBHOOK_MAX_PENDING) || DEFAULT_WEBHOOK_MAX_PENDING;
+            const pending = info.pending_update_count || 0;
+            const failingNow = pending > 0 && now - (info.last_error_date || 0) * 1000 < WEBHOOK_ERROR_WINDOW_MS;
+
+            if (info.url !== this.transport.url) {
+                result = { ok: false, reason: `webhook is not registered (Telegram has "${info.url}")` };
+            } else if (pending > maxPending) {
+                result = { ok: false, reason: `${pending} updates are waiting for delivery` };
+            } else if (failingNow) {
+                result = { ok: false, reason: `Telegram fails to deliver updates: ${info.last_error_message}` };
+            }
+        } catch (error) {
+            result = { ok: false, reason: `getWebHookInfo failed: ${error.message}` };
+        }
+        this.webhookCheck = { at: now, result };
+        return result;
+    }
+
+    /**
+     * Check that the Telegram API answers with getMe; the result is reused for a short while
+     * @returns {Promise<{ ok: boolean, username?: string, error?: string }>}
+     */
+    async checkConnection() {
+        const now = Date.now();
+        if (this.connectionCheck && now - this.connectionCheck.at < CONNECTION_CHECK_TTL_MS) {
+            return this.connectionCheck.result;
+        }
+
+        let result;
+        try {
+            const me = await this.bot.getMe();
+            result = { ok: true, username: me.username };
+        } catch (error) {
+            result = { ok: false, error: error.message };
+        }
+        this.connectionCheck = { at: now, result };
+        return result;
+    }
+
+    /**
+     * Start receiving updates: long polling, or the webhook route on the HTTP server
+     */
+    async start() {
+        if (this.transport.mode === 'polling') {
+            // A webhook left from webhook mode would make getUpdates fail
+            try {
+                await this.bot.deleteWebHook();
+            } catch (error) {
+                console.error('Failed to delete webhook:', error.message);
+            }
+            this.polling = { startedAt: Date.now(), lastSuccessAt: null, errors: 0 };
+            await this.bot.startPolling();
+            return;
+        }
+
+        const { url, path, secret } = this.transport;
+        httpServer.route('POST', path, createWebhookRoute(this.bot, secret));
+        await httpServer.listen();
+        await this.bot.setWebHook(url, { secret_token: secret, allowed_updates: JSON.stringify(ALLOWED_UPDATES) });
+        console.log(`✅ Webhook registered: ${url}`);
+    }
+
+    /**
+     * Stop receiving updates. The webhook stays registered unless TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN
+     * is set, so Telegram holds the updates while the bot restarts.
+     */
+    async stop() {
+        if (!this.bot || !this.transport) return;
+
+        if (this.transport.mode === 'polling') {
+            await this.bot.stopPolling();
+            return;
+        }
+
+        await httpServer.close();
+        if (this.transport.deleteOnShutdown) {
+            await this.bot.deleteWebHook();
+            console.log('🗑️ Webhook deleted');
+        }
+    }
+
+    /**
+     * Make a Telegram call for a chat through the send queue (rate limits and retries)
+     */
+    send(chatId, method, call) {
+        return sendQueue.run(chatId, method, call);
+    }
+
+    /**
+     * Send Markdown text rendered as Telegram HTML.
+     * Long texts are split into several messages; the keyboard goes with the last one.
+     * @param {Object} options - Telegram options, plus `plain: true` to send the text as is
+     * @returns {Promise<Object|null>} The last message sent, null if it couldn't be sent
+     * @throws {TelegramSendError} If the chat can't be reached (e.g. the user blocked the bot)
+     */
     async sendMessage(chatId, text, options = {}) {
+        const { plain = false, ...sendOptions } = options;
+        const { reply_markup: replyMarkup, ...partOptions } = sendOptions;
+
+        const parts = splitMarkdown(text);
+        let message = null;
+        for (let i = 0; i < parts.length; i++) {
+            const isLast = i === parts.length - 1;
+            message = await this.sendPart(chatId, parts[i], isLast ? sendOptions : partOptions, plain);
+            if (!message && !isLast) break;
+        }
+        return message;
+    }
+
+    /**
+     * Send one part as HTML, falling back to plain text if Telegram rejects the markup
+     */
+    async sendPart(chatId, markdown, options, plain) {
+        if (!plain) {
+            const html = renderMarkdown(markdown);
+            try {
+                return await this.send(chatId, 'sendMessage', () => this.bot.sendMessage(chatId, html, { ...options, parse_mode: 'HTML' }));
+            } catch (error) {
+                if (error instanceof TelegramSendError) throw error;
+                if (!isParseError(error)) {
+                    telegramSendErrors.inc({ method: 'sendMessage' });
+                    console.error('Failed to send message:', error.message);
+                    return null;
+                }
+                console.error('⚠️ Markup rejected, sending as plain text:', error.message);
+                markdown = toPlainText(html);
+            }
+        }
+
         try {
-            return await this.bot.sendMessage(chatId, text, {
-                parse_mode: 'Markdown',
-                ...options
-            });
+            return await this.send(chatId, 'sendMessage', () => this.bot.sendMessage(chatId, markdown, options));
         } catch (error) {
+            if (error instanceof TelegramSendError) throw error;
+            telegramSendErrors.inc({ method: 'sendMessage' });
             console.error('Failed to send message:', error.message);
             return null;
         }
     }
 
+    /**
+     * @throws {TelegramSendError} If the chat can't be reached
+     */
     async sendDocument(chatId, filePath, caption = '') {
         try {
-            return await this.bot.sendDocument(chatId, filePath, {
+            return await this.send(chatId, 'sendDocument', () => this.bot.sendDocument(chatId, filePath, {
                 caption
-            });
+            }));
         } catch (error) {
+            if (error instanceof TelegramSendError) throw error;
+            telegramSendErrors.inc({ method: 'sendDocument' });
             console.error('Failed to send document:', error.message);
             return null;
         }
     }
 
+    async editReplyMarkup(chatId, messageId, replyMarkup) {
+        try {
+            return await this.send(chatId, 'editMessageReplyMarkup', () => this.bot.editMessageReplyMarkup(replyMarkup, {
+                chat_id: chatId,
+                message_id: messageId
+            }));
+        } catch (error) {
+            if (error instanceof TelegramSendError) throw error;
+            telegramSendErrors.inc({ method: 'editMessageReplyMarkup' });
+            console.error('Failed to edit reply markup:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the text of a sent message with rendered Markdown (must fit one message)
+     * @returns {Promise<boolean>} Whether the message now shows the text
+     */
+    async editMessageText(chatId, messageId, text, options = {}) {
+        const html = renderMarkdown(text);
+        const target = { chat_id: chatId, message_id: messageId, ...options };
+
+        try {
+            await this.send(chatId, 'editMessageText', () => this.bot.editMessageText(html, { ...target, parse_mode: 'HTML' }));
+            return true;
+        } catch (error) {
+            if (error instanceof TelegramSendError) throw error;
+            // Editing to the same text is harmless
+            if (/message is not modified/i.test(error.message)) return true;
+            if (!isParseError(error)) {
+                telegramSendErrors.inc({ method: 'editMessageText' });
+                console.error('Failed to edit message:', error.message);
+                return false;
+            }
+        }
+
+        try {
+            await this.send(chatId, 'editMessageText', () => this.bot.editMessageText(toPlainText(html), target));
+            return true;
+        } catch (error) {
+            if (error instanceof TelegramSendError) throw error;
+            if (/message is not modified/i.test(error.message)) return true;
+            telegramSendErrors.inc({ method: 'editMessageText' });
+            console.error('Failed to edit message:', error.message);
+            return false;
+        }
+    }
+
+    async deleteMessage(chatId, messageId) {
+        try {
+            await this.send(chatId, 'deleteMessage', () => this.bot.deleteMessage(chatId, messageId));
+        } catch (error) {
+            if (error instanceof TelegramSendError) throw error;
+            telegramSendErrors.inc({ method: 'deleteMessage' });
+            console.error('Failed to delete message:', error.message);
+        }
+    }
+
+    /**
+     * Stop the button's loading indicator
+     * @param {string} [text] - Notice shown to the user on top of the chat
+     */
+    async answerCallbackQuery(queryId, text) {
+        try {
+            await this.bot.answerCallbackQuery(queryId, text ? { text } : {});
+        } catch (error) {
+            telegramSendErrors.inc({ method: 'answerCallbackQuery' });
+            console.error('Failed to answer callback query:', error.message);
+        }
+    }
+
     async sendTyping(chatId) {
         try {
             await this.bot.sendChatAction(chatId, 'typing');
         } catch (error) {
-            // Ignore
+            // Nothing to do for the user, but it still shows in the metrics
+            telegramSendErrors.inc({ method: 'sendChatAction' });
         }
     }
 
@@ -49,10 +371,19 @@ class BotService {
         this.bot.on('message', callback);
     }
 
+    onEditedMessage(callback) {
+        this.bot.on('edited_message', callback);
+    }
+
+    onCallbackQuery(callback) {
+        this.bot.on('callback_query', callback);
+    }
+
     onText(regex, callback) {
         this.bot.on('message', (msg) => {
-            if (msg.text && regex.test(msg.text)) {
-                callback(msg);
+            const match = msg.text ? msg.text.match(regex) : null;
+            if (match) {
+                callback(msg, match);
             }
         });
     }
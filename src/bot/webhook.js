@@ -0,0 +1,95 @@
+import { timingSafeEqual } from 'crypto';
+import { HttpError, readJsonBody } from '../http/server.js';
+
+/**
+ * Telegram Transport
+ * The bot gets updates by long polling (default) or through a webhook
+ * served by the bot's HTTP server, e.g. behind a reverse proxy:
+ *
+ *   TELEGRAM_MODE=webhook
+ *   TELEGRAM_WEBHOOK_URL=https://bot.example.com/telegram   # public URL; the server listens on its path
+ *   TELEGRAM_WEBHOOK_SECRET=...                             # required
+ *   TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN=true                # when stopping for good
+ *
+ * Telegram sends the secret in the X-Telegram-Bot-Api-Secret-Token header;
+ * requests without it are rejected. Only one instance of the bot may run:
+ * sessions and queues are kept in its memory, and Telegram delivers every
+ * update to the one webhook.
+ */
+
+// Updates the handlers use; others are not sent at all
+export const ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query'];
+
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * Transport settings from the environment
+ * @returns {Object} { mode: 'polling' } or { mode: 'webhook', url, path, secret, deleteOnShutdown }
+ * @throws {Error} On invalid settings
+ */
+export function readTransportConfig(env = process.env) {
+    const mode = (env.TELEGRAM_MODE || 'polling').trim().toLowerCase();
+    if (mode === 'polling') return { mode };
+    if (mode !== 'webhook') {
+        throw new Error(`TELEGRAM_MODE must be "polling" or "webhook", got "${env.TELEGRAM_MODE}"`);
+    }
+
+    let url;
+    try {
+        url = new URL(env.TELEGRAM_WEBHOOK_URL);
+    } catch (error) {
+        throw new Error('TELEGRAM_WEBHOOK_URL is required in webhook mode (public https:// URL)');
+    }
+    if (url.protocol !== 'https:') {
+        throw new Error('TELEGRAM_WEBHOOK_URL must be an https:// URL');
+    }
+
+    const secret = env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET is required in webhook mode');
+    }
+    if (!SECRET_PATTERN.test(secret)) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET must be 1-256 characters: letters, digits, "_" and "-"');
+    }
+
+    return {
+        mode,
+        url: url.toString(),
+        path: url.pathname,
+        secret,
+        deleteOnShutdown: env.TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN === 'true'
+    };
+}
+
+/**
+ * Compare the secret header in constant time
+ */
+export function hasValidSecret(req, secret) {
+    const received = Buffer.from(String(req.headers[SECRET_HEADER] || ''));
+    const expected = Buffer.from(secret);
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * HTTP route that feeds webhook updates into the bot's handlers.
+ * Telegram gets its answer right away; the update is processed afterwards,
+ * so a slow analysis doesn't make Telegram resend it.
+ */
+export function createWebhookRoute(bot, secret) {
+    return async (req) => {
+        if (!hasValidSecret(req, secret)) {
+            throw new HttpError(401, 'invalid secret token');
+        }
+
+        const update = await readJsonBody(req);
+        setImmediate(() => {
+            try {
+                bot.processUpdate(update);
+            } catch (error) {
+                console.error('❌ Webhook update failed:', error.message);
+            }
+        });
+        return { status: 200, body: 'ok' };
+    };
+}
@@ -0,0 +1,187 @@
+/**
+ * Conditional Branching
+ * Questions may be shown only under a condition (`when`) and may jump
+ * forward after being answered (`next`). Conditions look at earlier answers:
+ *
+ *   when: { question: 22, equals: true }             # yes/no, choice value or exact text
+ *   when: { question: 4, contains: ['страх', 'боюсь'] }
+ *   when: { question: 1, empty: true }                # blank or "не знаю"-style answer
+ *   when: { question: 1, empty: true, not: true }     # negated
+ *   when: { any: [ ...conditions ] }                  # or `all`
+ *
+ *   next:
+ *     - if: { question: 5, equals: 'Нет' }
+ *       goto: 9
+ *
+ * A question with a `when` that is false is skipped, which also covers
+ * "inserted" questions that only appear for some answers.
+ */
+
+const MATCHERS = ['equals', 'contains', 'empty'];
+
+// Answers that count as "no answer" for `empty: true`
+const UNKNOWN_ANSWERS = new Set([
+    '', '-', '—',
+    'не знаю', 'незнаю', 'я не знаю', 'хз', 'без понятия', 'нет ответа',
+    'гадки не маю', 'без поняття', 'немає відповіді',
+    'idk', 'i dont know', 'dont know', 'no idea', 'n/a'
+]);
+
+function normalize(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/[.,!?…"'’`]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function asList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate a condition object
+ * @param {number} number - 1-based number of the question it belongs to
+ * @param {number} latest - Highest question number the condition may look at
+ */
+function validateCondition(condition, number, latest, label) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [`question ${number} "${label}" must be a condition object`];
+    }
+
+    for (const group of ['any', 'all']) {
+        if (condition[group] !== undefined) {
+            if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+                return [`question ${number} "${label}.${group}" must be a non-empty list`];
+            }
+            return condition[group].flatMap(inner => validateCondition(inner, number, latest, label));
+        }
+    }
+
+    const errors = [];
+    if (!Number.isInteger(condition.question) || condition.question < 1 || condition.question > latest) {
+        errors.push(`question ${number} "${label}" must refer to question 1-${latest}`);
+    }
+    if (!MATCHERS.some(key => condition[key] !== undefined)) {
+        errors.push(`question ${number} "${label}" needs one of: ${MATCHERS.join(', ')}`);
+    }
+    return errors;
+}
+
+/**
+ * Validate `when` / `next` of one question
+ * @param {number} total - Number of questions in the lesson
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validateBranching(question, number, total) {
+    if (typeof question !== 'object' || question === null) return [];
+
+    const errors = [];
+    if (question.when !== undefined) {
+        errors.push(...validateCondition(question.when, number, number - 1, 'when'));
+    }
+
+    if (question.next !== undefined) {
+        if (!Array.isArray(question.next)) {
+            errors.push(`question ${number} "next" must be a list of { if, goto } rules`);
+        } else {
+            question.next.forEach(rule => {
+                // "if" may look at the question's own answer
+                errors.push(...validateCondition(rule?.if, number, number, 'next.if'));
+                // Only forward jumps, so a lesson can never loop
+                if (!Number.isInteger(rule?.goto) || rule.goto <= number + 1 || rule.goto > total) {
+                    errors.push(`question ${number} "next.goto" must be a later question number (${number + 2}-${total})`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Evaluate a condition against the answers given so far.
+ * Conditions on unanswered questions are false.
+ * @param {Array} answers - Answers indexed by question index
+ */
+export function evaluateCondition(condition, answers) {
+    if (condition.any) return condition.any.some(inner => evaluateCondition(inner, answers));
+    if (condition.all) return condition.all.every(inner => evaluateCondition(inner, answers));
+
+    const qa = answers[condition.question - 1];
+    if (!qa) return false;
+
+    let result = true;
+    if (condition.equals !== undefined) {
+        const values = asList(qa.value ?? qa.answer).map(v => (typeof v === 'string' ? normalize(v) : v));
+        result = result && asList(condition.equals).some(expected => {
+            const target = typeof expected === 'string' ? normalize(expected) : expected;
+            return values.includes(target) || normalize(qa.answer) === target;
+        });
+    }
+    if (condition.contains !== undefined) {
+        const text = normalize(qa.answer);
+        result = result && asList(condition.contains).some(keyword => text.includes(normalize(keyword)));
+    }
+    if (condition.empty !== undefined) {
+        result = result && (UNKNOWN_ANSWERS.has(normalize(qa.answer)) === Boolean(condition.empty));
+    }
+
+    return condition.not ? !result : result;
+}
+
+function isShown(question, answers) {
+    return !question.when || evaluateCondition(question.when, answers);
+}
+
+/**
+ * Walk the lesson along the user's answers.
+ * Answers left over from a branch the user no longer takes are ignored.
+ * @param {Array} questions - Normalized lesson questions
+ * @param {Array} answers - Answers indexed by question index
+ * @param {number[]} [finishedRepeats] - Repeat groups the user ended early;
+ *   their unanswered iterations are skipped
+ * @returns {{ path: number[], current: number|null, onPath: Array }} Indices
+ *   of answered questions on the path, the index of the next question to ask
+ *   (null when the lesson is complete), and the answers on the path
+ */
+export function computePath(questions, answers, finishedRepeats = []) {
+    const path = [];
+    const onPath = [];
+    let index = 0;
+
+    while (index < questions.length) {
+        const question = questions[index];
+        const loopEnded = question.repeat && !answers[index] && finishedRepeats.includes(question.repeat.group);
+        if (loopEnded || !isShown(question, onPath)) {
+            index++;
+            continue;
+        }
+        if (!answers[index]) {
+            return { path, current: index, onPath };
+        }
+
+        path.push(index);
+        onPath[index] = answers[index];
+        const jump = (question.next || []).find(rule => evaluateCondition(rule.if, onPath));
+        index = jump ? jump.goto - 1 : index + 1;
+    }
+
+    return { path, current: null, onPath };
+}
+
+/**
+ * Expected number of questions on the user's path: those already
+ * answered plus the remaining ones that would be shown right now.
+ */
+export function projectedTotal(questions, answers, finishedRepeats = []) {
+    const { path, current, onPath } = computePath(questions, answers, finishedRepeats);
+    if (current === null) return path.length;
+
+    let remaining = 0;
+    for (let i = current; i < questions.length; i++) {
+        const loopEnded = questions[i].repeat && !answers[i] && finishedRepeats.includes(questions[i].repeat.group);
+        if (!loopEnded && isShown(questions[i], onPath)) remaining++;
+    }
+    return path.length + remaining;
+}
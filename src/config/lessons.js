@@ -0,0 +1,324 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { expandQuestions, normalizeQuestion, validateQuestion, validateRepeat } from './questionTypes.js';
+import { validateBranching } from './branching.js';
+import { flattenSections, isSection, listSections, validateSection } from './sections.js';
+import { validateOutputSchema } from '../ai/structured.js';
+import { listPromptTemplates, validatePromptTemplates } from '../ai/promptTemplates.js';
+import { collectQuestionIds, resolveQuestionRefs, validateQuestionIds, validateQuestionRefs } from './questionRefs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Lesson Loader
+ * Reads lesson definitions from lessons/<lang>/lesson<id>.yaml (or .json),
+ * validates them and compiles prompt templates into the shape the rest of
+ * the bot expects from getChainConfig().
+ */
+
+const LESSON_FILE_PATTERN = /^lesson(\d+)\.(ya?ml|json)$/;
+// Variant ids go into callback_data, which Telegram limits to 64 bytes
+const VARIANT_ID_PATTERN = /^[a-z][a-z0-9_]{0,31}$/i;
+
+export class LessonValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid lesson files:\n${errors.join('\n')}`);
+        this.name = 'LessonValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Replace {name} placeholders with values; unknown placeholders are left as is
+ */
+export function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check a parsed lesson against the schema
+ * @returns {string[]} Human-readable errors, empty if valid
+ */
+export function validateLesson(data, source) {
+    const errors = [];
+    const fail = (message) => errors.push(`${source}: ${message}`);
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        fail('lesson must be an object');
+        return errors;
+    }
+
+    if (!Number.isInteger(data.id) || data.id < 1) {
+        fail('"id" must be a positive integer');
+    }
+
+    if (!isNonEmptyString(data.introMessage)) fail('"introMessage" is required');
+    if (!isNonEmptyString(data.congratsMessage)) fail('"congratsMessage" is required');
+
+    // Expanded questions, null when the list itself is broken
+    let questions = null;
+    if (!Array.isArray(data.questions) || data.questions.length === 0) {
+        fail('"questions" must be a non-empty list');
+    } else {
+        const sectionErrors = data.questions.flatMap((item, i) => (isSection(item) ? validateSection(item, i + 1) : []));
+        sectionErrors.forEach(fail);
+
+        const items = sectionErrors.length === 0 ? flattenSections(data.questions) : [];
+        const repeatErrors = items
+            .flatMap((item, i) => (item && typeof item === 'object' && item.repeat !== undefined ? validateRepeat(item, i + 1) : []));
+        repeatErrors.forEach(fail);
+
+        // Questions are numbered after sections and repeat blocks are expanded, as the user and the AI see them
+        if (sectionErrors.length === 0 && repeatErrors.length === 0) {
+            questions = expandQuestions(items);
+            questions.forEach((question, i) => {
+                validateQuestion(question, i + 1).forEach(fail);
+                validateBranching(question, i + 1, questions.length).forEach(fail);
+            });
+            validateQuestionIds(questions).forEach(fail);
+        }
+    }
+
+    const ai = data.ai;
+    if (!ai || typeof ai !== 'object') {
+        fail('"ai" section is required');
+        return errors;
+    }
+
+    for (const field of ['systemPrompt', 'userPrompt', 'questionLabel', 'answerLabel', 'fallback']) {
+        if (!isNonEmptyString(ai[field])) fail(`"ai.${field}" is required`);
+    }
+    if (isNonEmptyString(ai.userPrompt) && !ai.userPrompt.includes('{qaText}')) {
+        fail('"ai.userPrompt" must contain the {qaText} placeholder');
+    }
+    if (isNonEmptyString(ai.questionLabel) && !ai.questionLabel.includes('{n}')) {
+        fail('"ai.questionLabel" must contain the {n} placeholder');
+    }
+
+    // Optional model settings for this lesson
+    if (ai.model !== undefined) {
+        const models = typeof ai.model === 'object' && ai.model !== null && !Array.isArray(ai.model) ? Object.values(ai.model) : [ai.model];
+        if (models.length === 0 || !models.every(isNonEmptyString)) {
+            fail('"ai.model" must be a model name or a { provider: model } map');
+        }
+    }
+    if (ai.temperature !== undefined && (typeof ai.temperature !== 'number' || ai.temperature < 0 || ai.temperature > 2)) {
+        fail('"ai.temperature" must be a number from 0 to 2');
+    }
+    if (ai.maxTokens !== undefined && (!Number.isInteger(ai.maxTokens) || ai.maxTokens < 1)) {
+        fail('"ai.maxTokens" must be a positive integer');
+    }
+    if (ai.output !== undefined) {
+        validateOutputSchema(ai.output).forEach(fail);
+    }
+    if (ai.variants !== undefined) {
+        validateVariants(ai.variants).forEach(fail);
+    }
+    validatePromptTemplates(ai).forEach(fail);
+
+    if (questions) {
+        const ids = collectQuestionIds(questions);
+        for (const [field, text] of listPromptTexts(ai)) {
+            validateQuestionRefs(text, ids, field).forEach(fail);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Regeneration variants: prompt modifiers the user can pick when asking for a new analysis
+ *
+ *   variants:
+ *     - id: softer
+ *       label: "🕊 Мягче"
+ *       prompt: "Пиши мягче и бережнее..."
+ */
+function validateVariants(variants) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+        return ['"ai.variants" must be a non-empty list of { id, label, prompt }'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    variants.forEach((variant, i) => {
+        const id = variant?.id;
+        if (typeof id !== 'string' || !VARIANT_ID_PATTERN.test(id)) {
+            errors.push(`"ai.variants" item ${i + 1} "id" must be a word of up to 32 characters`);
+        } else if (seen.has(id)) {
+            errors.push(`"ai.variants" item ${i + 1} repeats the id "${id}"`);
+        }
+        seen.add(id);
+        if (!isNonEmptyString(variant?.label)) errors.push(`"ai.variants" item ${i + 1} "label" is required`);
+        if (!isNonEmptyString(variant?.prompt)) errors.push(`"ai.variants" item ${i + 1} "prompt" is required`);
+    });
+    return errors;
+}
+
+/**
+ * Prompt texts that may refer to questions by ID
+ * @returns {Array} [[field, text]]
+ */
+function listPromptTexts(ai) {
+    const texts = [['ai.systemPrompt', ai.systemPrompt], ['ai.userPrompt', ai.userPrompt]];
+    (Array.isArray(ai.prompts) ? ai.prompts : []).forEach((template, i) => {
+        texts.push([`ai.prompts[${i + 1}].systemPrompt`, template?.systemPrompt], [`ai.prompts[${i + 1}].userPrompt`, template?.userPrompt]);
+    });
+    (Array.isArray(ai.variants) ? ai.variants : []).forEach((variant, i) => {
+        texts.push([`ai.variants[${i + 1}].prompt`, variant?.prompt]);
+    });
+    return texts;
+}
+
+/**
+ * Replace question references in all prompts with the numbers and texts of this lesson
+ */
+function resolvePrompts(ai, ids) {
+    const resolve = (text) => (typeof text === 'string' ? resolveQuestionRefs(text, ids) : text);
+    return {
+        ...ai,
+        systemPrompt: resolve(ai.systemPrompt),
+        userPrompt: resolve(ai.userPrompt),
+        ...(ai.prompts && {
+            prompts: ai.prompts.map(template => ({ ...template, systemPrompt: resolve(template.systemPrompt), userPrompt: resolve(template.userPrompt) }))
+        }),
+        ...(ai.variants && { variants: ai.variants.map(variant => ({ ...variant, prompt: resolve(variant.prompt) })) })
+    };
+}
+
+/**
+ * Turn a validated lesson into a chain config with callable templates
+ */
+function compileLesson(data) {
+    const questions = expandQuestions(flattenSections(data.questions)).map(normalizeQuestion);
+    // References are resolved before hashing, so renumbered questions show up as a new prompt hash
+    const ai = resolvePrompts(data.ai, collectQuestionIds(questions));
+    const { userPrompt, questionLabel } = ai;
+    return {
+        ...data,
+        sections: listSections(data.questions),
+        questions,
+        ai: {
+            ...ai,
+            variants: ai.variants || [],
+            // Prompt versions for A/B comparison, the inline prompts first
+            templates: listPromptTemplates(ai).map(template => ({
+                ...template,
+                userPrompt: (qaText) => fillTemplate(template.userPrompt, { qaText })
+            })),
+            userPrompt: (qaText) => fillTemplate(userPrompt, { qaText }),
+            questionLabel: (n) => fillTemplate(questionLabel, { n })
+        }
+    };
+}
+
+function parseFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return filePath.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+}
+
+class LessonRegistry {
+    constructor() {
+        this.dir = process.env.LESSONS_DIR || path.join(__dirname, '..', '..', 'lessons');
+        // lang -> { chainId -> chain config }
+        this.lessons = null;
+    }
+
+    /**
+     * Read and validate every lesson file.
+     * Nothing is replaced unless all files are valid, so a broken
+     * edit never takes down lessons that are already loaded.
+     * @returns {Object} lang -> sorted chain IDs
+     */
+    load() {
+        const errors = [];
+        const lessons = {};
+
+        if (!fs.existsSync(this.dir)) {
+            throw new LessonValidationError([`${this.dir}: lessons directory not found`]);
+        }
+
+        const langs = fs.readdirSync(this.dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+
+        for (const lang of langs) {
+            lessons[lang] = {};
+            const langDir = path.join(this.dir, lang);
+
+            for (const fileName of fs.readdirSync(langDir).sort()) {
+                const match = fileName.match(LESSON_FILE_PATTERN);
+                if (!match) continue;
+
+                const source = `${lang}/${fileName}`;
+                let data;
+                try {
+                    data = parseFile(path.join(langDir, fileName));
+                } catch (error) {
+                    errors.push(`${source}: ${error.message}`);
+                    continue;
+                }
+
+                const lessonErrors = validateLesson(data, source);
+                if (lessonErrors.length > 0) {
+                    errors.push(...lessonErrors);
+                    continue;
+                }
+
+                if (data.id !== Number(match[1])) {
+                    errors.push(`${source}: "id" ${data.id} does not match the file name`);
+                    continue;
+                }
+                if (lessons[lang][data.id]) {
+                    errors.push(`${source}: duplicate lesson id ${data.id}`);
+                    continue;
+                }
+
+                lessons[lang][data.id] = compileLesson(data);
+            }
+
+            if (Object.keys(lessons[lang]).length === 0) {
+                delete lessons[lang];
+            }
+        }
+
+        if (!lessons.ru) {
+            errors.push('ru: the default language must have at least one lesson');
+        }
+
+        if (errors.length > 0) {
+            throw new LessonValidationError(errors);
+        }
+
+        this.lessons = lessons;
+        return this.describe();
+    }
+
+    /**
+     * Languages and lesson IDs currently loaded
+     */
+    describe() {
+        const result = {};
+        for (const [lang, chains] of Object.entries(this.lessons || {})) {
+            result[lang] = Object.keys(chains).map(Number).sort((a, b) => a - b);
+        }
+        return result;
+    }
+
+    /**
+     * Chain config for a language, falling back to Russian and to lesson 1
+     */
+    get(lang = 'ru', chainId = 1) {
+        if (!this.lessons) this.load();
+        const chains = this.lessons[lang] || this.lessons.ru;
+        return chains[chainId] || chains[1] || Object.values(chains)[0];
+    }
+}
+
+export default new LessonRegistry();
@@ -0,0 +1,86 @@
+/**
+ * Question References
+ * Questions may carry a stable `id`, and prompts refer to them by it instead
+ * of hard-coding numbers that break when a question is inserted or removed:
+ *
+ *   questions:
+ *     - id: cost
+ *       text: "И чего это всё мне стоило?"
+ *     - id: loop
+ *       repeat: { text: "Так получилось, что...", count: 20 }
+ *
+ *   systemPrompt: "... (вопрос {question:cost}: «{questionText:cost}») ... (вопросы {question:loop})"
+ *
+ * `{question:id}` becomes the question number, or the range of a repeat block
+ * ("16-35"); `{questionText:id}` becomes the question text.
+ */
+
+const ID_PATTERN = /^[a-z][a-z0-9_]{0,31}$/i;
+const REF_PATTERN = /\{(question|questionText):([^{}\s]*)\}/g;
+
+/**
+ * Validate question IDs of the expanded questions
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validateQuestionIds(questions) {
+    const errors = [];
+    const seen = new Map();
+    questions.forEach((question, i) => {
+        const id = question && typeof question === 'object' ? question.id : undefined;
+        if (id === undefined) return;
+
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+            errors.push(`question ${i + 1} "id" must be a word of up to 32 characters, like "cost"`);
+            return;
+        }
+        // Iterations of one repeat block share the block's ID
+        const group = question.repeat ? question.repeat.group : i;
+        if (seen.has(id) && seen.get(id) !== group) {
+            errors.push(`question ${i + 1} repeats the id "${id}"`);
+        }
+        seen.set(id, group);
+    });
+    return errors;
+}
+
+/**
+ * Question IDs of the expanded questions
+ * @returns {Map} id -> { numbers: number[], text }
+ */
+export function collectQuestionIds(questions) {
+    const ids = new Map();
+    questions.forEach((question, i) => {
+        if (!question || typeof question !== 'object' || typeof question.id !== 'string') return;
+        const entry = ids.get(question.id) || { numbers: [], text: question.text };
+        entry.numbers.push(i + 1);
+        ids.set(question.id, entry);
+    });
+    return ids;
+}
+
+/**
+ * Check the references in a prompt
+ * @param {Map} ids - From collectQuestionIds
+ * @returns {string[]} Errors, empty if every reference points to a question
+ */
+export function validateQuestionRefs(text, ids, field) {
+    if (typeof text !== 'string') return [];
+    return [...text.matchAll(REF_PATTERN)]
+        .filter(([, , id]) => !ids.has(id))
+        .map(([match, , id]) => `"${field}" refers to ${match}, but no question has the id "${id}"`);
+}
+
+/**
+ * Replace question references with numbers and texts; unknown IDs are left as is
+ */
+export function resolveQuestionRefs(text, ids) {
+    return text.replace(REF_PATTERN, (match, kind, questionId) => {
+        const entry = ids.get(questionId);
+        if (!entry) return match;
+        if (kind === 'questionText') return entry.text;
+
+        const first = entry.numbers[0];
+        const last = entry.numbers[entry.numbers.length - 1];
+        return first === last ? String(first) : `${first}-${last}`;
+    });
+}
@@ -0,0 +1,230 @@
+/**
+ * Question Types
+ * A question in a lesson file is either a plain string (free text) or an
+ * object with a `type` answered through an inline keyboard:
+ *
+ *   - { type: 'single-choice', text, options: [...] | optionsFrom: <question number> }
+ *   - { type: 'multi-choice', text, options: [...] | optionsFrom: <question number> }
+ *   - { type: 'scale', text, min: 1, max: 10 }
+ *   - { type: 'yesno', text }
+ *
+ * `optionsFrom` builds the options from an earlier answer, one option per
+ * line or list item, so the user can pick among variants they named themselves.
+ *
+ * A `{ repeat: { text, count, minCount } }` item asks the same free-text
+ * question `count` times; it expands into `count` numbered questions, and
+ * after `minCount` iterations the user may finish the loop early.
+ *
+ * Any question or repeat block may have an `id` for prompts to refer to
+ * (see questionRefs.js).
+ */
+
+export const QUESTION_TYPES = ['text', 'single-choice', 'multi-choice', 'scale', 'yesno'];
+
+const CHOICE_TYPES = ['single-choice', 'multi-choice'];
+const MAX_OPTIONS = 10;
+const MAX_SCALE_STEPS = 11;
+const MAX_REPEAT_COUNT = 50;
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Bring a question into object form with defaults filled in
+ */
+export function normalizeQuestion(question) {
+    if (typeof question === 'string') {
+        return { type: 'text', text: question };
+    }
+
+    const normalized = { ...question, type: question.type || 'text' };
+    if (normalized.type === 'scale') {
+        normalized.min = question.min ?? 1;
+        normalized.max = question.max ?? 10;
+    }
+    return normalized;
+}
+
+/**
+ * Validate a repeat block
+ * @param {number} number - 1-based position of the item in the lesson file
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validateRepeat(item, number) {
+    const repeat = item.repeat;
+    if (!repeat || typeof repeat !== 'object') {
+        return [`item ${number} "repeat" must be an object`];
+    }
+
+    const errors = [];
+    if (!isNonEmptyString(repeat.text)) {
+        errors.push(`item ${number} "repeat.text" is required`);
+    }
+    if (!Number.isInteger(repeat.count) || repeat.count < 2 || repeat.count > MAX_REPEAT_COUNT) {
+        errors.push(`item ${number} "repeat.count" must be an integer from 2 to ${MAX_REPEAT_COUNT}`);
+    }
+    if (repeat.minCount !== undefined && (!Number.isInteger(repeat.minCount) || repeat.minCount < 1 || repeat.minCount > repeat.count)) {
+        errors.push(`item ${number} "repeat.minCount" must be an integer from 1 to "count"`);
+    }
+    return errors;
+}
+
+/**
+ * Expand repeat blocks into individual questions.
+ * Each iteration carries `repeat: { group, iteration, count, minCount, text }`,
+ * `group` being the index of the first iteration.
+ */
+export function expandQuestions(items) {
+    const questions = [];
+    for (const item of items) {
+        if (item && typeof item === 'object' && item.repeat) {
+            const { text, count, minCount } = item.repeat;
+            const group = questions.length;
+            const section = item.section !== undefined ? { section: item.section } : {};
+            const id = item.id !== undefined ? { id: item.id } : {};
+            for (let iteration = 1; iteration <= count; iteration++) {
+                questions.push({ type: 'text', text, ...id, ...section, repeat: { group, iteration, count, minCount: minCount ?? null, text } });
+            }
+        } else {
+            questions.push(item);
+        }
+    }
+    return questions;
+}
+
+/**
+ * Validate one question of a lesson
+ * @param {number} number - 1-based position in the lesson
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validateQuestion(question, number) {
+    if (typeof question === 'string') {
+        return isNonEmptyString(question) ? [] : [`question ${number} must be a non-empty string`];
+    }
+    if (!question || typeof question !== 'object') {
+        return [`question ${number} must be a string or an object`];
+    }
+
+    const errors = [];
+    const q = normalizeQuestion(question);
+
+    if (!QUESTION_TYPES.includes(q.type)) {
+        errors.push(`question ${number} has unknown type "${q.type}"`);
+    }
+    if (!isNonEmptyString(q.text)) {
+        errors.push(`question ${number} needs a "text"`);
+    }
+
+    if (CHOICE_TYPES.includes(q.type)) {
+        if (q.options !== undefined) {
+            if (!Array.isArray(q.options) || q.options.length < 2 || q.options.length > MAX_OPTIONS || !q.options.every(isNonEmptyString)) {
+                errors.push(`question ${number} "options" must list 2-${MAX_OPTIONS} non-empty strings`);
+            }
+        } else if (q.optionsFrom !== undefined) {
+            if (!Number.isInteger(q.optionsFrom) || q.optionsFrom < 1 || q.optionsFrom >= number) {
+                errors.push(`question ${number} "optionsFrom" must point to an earlier question`);
+            }
+        } else {
+            errors.push(`question ${number} needs "options" or "optionsFrom"`);
+        }
+    }
+
+    if (q.type === 'scale') {
+        if (!Number.isInteger(q.min) || !Number.isInteger(q.max) || q.min >= q.max || q.max - q.min + 1 > MAX_SCALE_STEPS) {
+            errors.push(`question ${number} scale needs integer "min" < "max" with at most ${MAX_SCALE_STEPS} steps`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Split a free-text answer into options: one per line, list item, or
+ * semicolon/comma-separated part.
+ */
+export function parseOptions(text) {
+    if (!text) return [];
+
+    let parts = text.split('\n');
+    if (parts.length < 2) parts = text.split(/;|(?:^|\s)\d+[.)]\s/);
+    if (parts.length < 2) parts = text.split(',');
+
+    return parts
+        .map(part => part.replace(/^\s*(?:\d+[.)]|[-•*])\s*/, '').trim())
+        .filter(Boolean)
+        .slice(0, MAX_OPTIONS);
+}
+
+/**
+ * Resolve the options shown for a choice question
+ * @param {Array} answers - Answers given so far in the session
+ * @returns {string[]} Options, or an empty list if they can't be built
+ */
+export function resolveOptions(question, answers) {
+    if (Array.isArray(question.options)) return question.options;
+    if (question.optionsFrom) {
+        return parseOptions(answers[question.optionsFrom - 1]?.answer);
+    }
+    return [];
+}
+
+/**
+ * The type a question is actually asked as. A choice question whose
+ * options can't be built from an earlier answer falls back to free text.
+ */
+export function effectiveType(question, answers) {
+    if (CHOICE_TYPES.includes(question.type) && resolveOptions(question, answers).length < 2) {
+        return 'text';
+    }
+    return question.type;
+}
+
+/**
+ * Label describing a structured answer, e.g. "шкала 1–10"
+ * @param {Object} answerTypes - Localized labels from translations
+ * @returns {string} Label, or '' for free text
+ */
+export function answerTypeLabel(answerTypes, qa) {
+    if (!qa.type || qa.type === 'text') return '';
+    const label = answerTypes[qa.type];
+    return typeof label === 'function' ? label(qa.min, qa.max) : (label || '');
+}
+
+/**
+ * Insert a note into a label: ("Вопрос 16:", "повтор 1 из 20") -> "Вопрос 16 (повтор 1 из 20):"
+ */
+export function appendNote(label, note) {
+    if (!note) return label;
+    const colon = /:\s*$/.test(label) ? ':' : '';
+    return `${label.replace(/:\s*$/, '')} (${note})${colon}`;
+}
+
+/**
+ * Answer label with the answer type inserted: "Ответ:" -> "Ответ (шкала 1–10):"
+ */
+export function labelAnswer(answerLabel, answerTypes, qa) {
+    return appendNote(answerLabel, answerTypeLabel(answerTypes, qa));
+}
+
+/**
+ * Question label with the iteration of a repeat block: "Вопрос 16 (повтор 1 из 20):"
+ */
+export function labelQuestion(questionLabel, repeatLabels, qa) {
+    return qa.repeat ? appendNote(questionLabel, repeatLabels.iteration(qa.repeat.iteration, qa.repeat.count)) : questionLabel;
+}
+
+/**
+ * One line per repeat block saying how many iterations the user actually did
+ * @param {Array} transcript - Answers along the user's path
+ */
+export function describeRepeats(repeatLabels, transcript) {
+    const groups = new Map();
+    for (const qa of transcript) {
+        if (!qa.repeat) continue;
+        const group = groups.get(qa.repeat.group) || { text: qa.question, count: qa.repeat.count, done: 0 };
+        group.done++;
+        groups.set(qa.repeat.group, group);
+    }
+    return [...groups.values()].map(group => repeatLabels.summary(group.text, group.done, group.count));
+}
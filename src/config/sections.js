@@ -0,0 +1,93 @@
+/**
+ * Question Sections
+ * Lessons may group their questions into named sections ("Линия 1. Источник",
+ * "Крок 3: Відмова від волі"):
+ *
+ *   questions:
+ *     - section: "Линия 1. Источник"
+ *       reflect: true          # optional short AI reflection on this section
+ *       questions:
+ *         - "Пусть всё идет, так как идёт, потому что..."
+ *         - ...
+ *
+ * Sections don't affect numbering: questions are numbered through the whole
+ * lesson, so branching rules and prompts keep referring to the same numbers.
+ */
+
+export function isSection(item) {
+    return Boolean(item) && typeof item === 'object' && !Array.isArray(item) && item.section !== undefined;
+}
+
+/**
+ * Validate a section item
+ * @param {number} number - 1-based position of the item in the lesson file
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validateSection(item, number) {
+    const errors = [];
+    if (typeof item.section !== 'string' || item.section.trim().length === 0) {
+        errors.push(`item ${number} "section" must be a non-empty title`);
+    }
+    if (!Array.isArray(item.questions) || item.questions.length === 0) {
+        errors.push(`item ${number} "questions" must be a non-empty list`);
+    } else if (item.questions.some(isSection)) {
+        errors.push(`item ${number} sections can't be nested`);
+    }
+    if (item.reflect !== undefined && typeof item.reflect !== 'boolean') {
+        errors.push(`item ${number} "reflect" must be true or false`);
+    }
+    return errors;
+}
+
+/**
+ * Section titles and options in lesson order
+ * @returns {Array} [{ title, reflect }]
+ */
+export function listSections(items) {
+    return items.filter(isSection).map(item => ({ title: item.section, reflect: Boolean(item.reflect) }));
+}
+
+/**
+ * Replace section items with their questions, each tagged with
+ * `section`: the index of its section in listSections()
+ */
+export function flattenSections(items) {
+    const flat = [];
+    let section = -1;
+    for (const item of items) {
+        if (!isSection(item)) {
+            flat.push(item);
+            continue;
+        }
+        section++;
+        for (const question of item.questions) {
+            if (typeof question === 'string') {
+                flat.push({ text: question, section });
+            } else if (question && typeof question === 'object') {
+                flat.push({ ...question, section });
+            } else {
+                flat.push(question);
+            }
+        }
+    }
+    return flat;
+}
+
+/**
+ * Split a transcript into consecutive runs of the same section
+ * @param {Array} transcript - Answers along the user's path, with `section` titles
+ * @returns {Array} [{ title, answers }], `title` being null outside sections
+ */
+export function groupBySection(transcript) {
+    const groups = [];
+    for (const qa of transcript) {
+        const title = qa.section ?? null;
+        const last = groups[groups.length - 1];
+        if (last && last.title === title) {
+            last.answers.push(qa);
+        } else {
+            groups.push({ title, answers: [qa] });
+        }
+    }
+    return groups;
+}
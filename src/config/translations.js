@@ -1,20 +1,25 @@
+import lessons from './lessons.js';
+
 /**
  * Translations Configuration
- * Supports Russian (ru) and Ukrainian (uk) languages.
+ * UI and export strings for Russian (ru), Ukrainian (uk) and English (en).
+ * Lesson content (intros, questions, prompts) lives in lessons/<lang>/*.yaml.
  */
 
 export const translations = {
     ru: {
         // Language selection
         selectLanguage: '🌐 Выберите язык / Оберіть мову:',
+        languageName: '🇷🇺 Русский',
 
         // UI strings
         ui: {
             chooseAction: 'Выберите действие:',
             startQuestions: '✅ Начать опрос',
-            lesson1: '1 занятие',
-            lesson2: '2 занятие',
-            lesson3: '3 занятие',
+            lessonButton: (n) => `${n} занятие`,
+            staleButton: '⌛ Эта кнопка больше не действует. Продолжите с последнего сообщения или начните заново с /start.',
+            busy: '⏳ Подождите, предыдущее действие ещё выполняется.',
+            analysisInProgress: '⏳ Анализ уже готовится — подождите немного.',
             questionProgress: (current, total) => `📝 *Вопрос ${current} из ${total}*\n\n`,
             answerTooLong: (max) => `⚠️ Ответ слишком длинный (максимум ${max} символов). Пожалуйста, сократите ответ.`,
             analyzing: '⏳ *Анализирую ваши ответы...*\n\nЭто может занять некоторое время.',
@@ -24,7 +29,35 @@ export const translations = {
             restartButton: '🔄 Начать заново',
             noDataToSave: '❌ Нет данных для сохранения. Начните заново с /start',
             resultsSaved: '✅ Результаты сохранены и отправлены вам файлом.',
-            resultsCaption: '📄 Ваши результаты'
+            resultsCaption: '📄 Ваши результаты',
+            historyEmpty: '📭 У вас пока нет завершённых занятий.',
+            historyTitle: '📚 *Ваши завершённые занятия*\n\nВыберите, что отправить повторно:',
+            historyEntry: (lesson, date) => `${lesson} — ${date}`,
+            historySummaryButton: '📊 Анализ',
+            historyExportButton: '💾 Файл',
+            historyNotFound: '❌ Запись не найдена.',
+            backButton: '⬅️ Назад',
+            editAnswersButton: '✏️ Изменить ответ',
+            editAnswerButton: (n) => `✏️ ${n}`,
+            cancelEditButton: '↩️ Отмена',
+            chooseAnswerToEdit: 'Какой ответ вы хотите изменить?',
+            currentAnswer: (answer) => `\n\n_Текущий ответ:_ ${answer}\n\nОтправьте новый ответ.`,
+            answerUpdated: (n) => `✅ Ответ ${n} обновлён.`,
+            reviewTitle: '📋 *Проверьте ваши ответы*',
+            reviewHint: 'Нажмите на номер, чтобы изменить ответ, или подтвердите, чтобы получить анализ.',
+            confirmAnswersButton: '✅ Подтвердить и получить анализ',
+            answerSyncedRegenerate: (n) => `✏️ Ответ ${n} изменён. Анализ был сделан по прежней версии — пересоздать его?`,
+            answerSyncedReask: (n) => `✏️ Ответ ${n} изменён. Из него строились варианты следующих вопросов — ответьте на них заново.`,
+            regenerateButton: '🔁 Пересоздать анализ',
+            yes: 'Да',
+            no: 'Нет',
+            doneButton: '✔️ Готово',
+            multiChoiceHint: '\n\n_Можно выбрать несколько вариантов, затем нажмите «Готово»._',
+            useButtonsHint: '👆 Пожалуйста, выберите ответ с помощью кнопок.',
+            selectAtLeastOne: '☝️ Выберите хотя бы один вариант.',
+            repeatProgress: (i, count) => `🔁 Повтор ${i}/${count}\n\n`,
+            finishRepeatButton: '⏹ Я закончил(а) с этим вопросом',
+            deferredAnalysisReady: '✨ Анализ ваших ответов готов — как и обещали.'
         },
 
         // File export strings
@@ -35,287 +68,145 @@ export const translations = {
             answerLabel: 'Ответ:',
             analysisHeader: 'ГЛУБОКИЙ АНАЛИЗ',
             analysisUnavailable: 'Анализ недоступен',
+            discussionHeader: 'ОБСУЖДЕНИЕ',
+            discussionUser: 'Вы:',
+            discussionAssistant: 'AI:',
             congratsFooter: 'Поздравляем с завершением этапа!',
             date: 'Дата:',
             time: 'Время:'
         },
 
-        chains: {
-            1: {
-                // Intro message
-                introMessage: `🎓 *Добро пожаловать!*
-
-
-Вы начинаете первое домашнее предложение.
-
-Перед началом подумайте и сформулируйте для себя проблему, которая сейчас беспокоит вас больше всего. Её не нужно записывать, достаточно просто иметь в виду при ответе на дальнейшие вопросы.
-
-Сейчас вам будет задано 35 вопросов. Отвечайте на каждый из них развёрнуто и честно.
-
-После завершения вы получите анализ ваших ответов.
-
-Готовы начать?`,
-
-                // Questions - Step 1: Поиск источника (внутри/снаружи)
-                questions: [
-                    "Со мной это произошло, потому что...",
-                    "Так вышло, потому что...",
-                    "Я оказался(лась) в этой ситуации из-за...",
-                    "Я бы не оказался(лась) здесь, если бы не...",
-                    // Step 2: Символическая фигура/лицо
-                    "Если бы не ..., у меня было бы всё иначе",
-                    "Если бы этого не случилось, я был(а) бы другим человеком, и мне бы не пришлось...",
-                    "Если закрыть глаза и посмотреть, кто внешний хозяин моей привязанности, проявляется фигура (лицо) ...",
-                    // Step 3: Отказ от воли
-                    "Мне приходится соглашаться на всё это, потому что...",
-                    "Мне приходится молчать, потому что...",
-                    "Мне приходится делать всё это, потому что...",
-                    "У меня нет выбора (или есть выбор, но я выбираю это), потому что...",
-                    "Я вручила(а) свою волю ...",
-                    // Step 4: Отказ от авторства
-                    "Я бы никогда так не поступал(а), если бы (не) ...",
-                    "В нормальных условиях я бы...",
-                    "Получается, что мной управляет ...",
-                    // Step 5: Замкнутый круг (20 раз)
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что...",
-                    "Так получилось, что..."
-                ],
-
-                // AI prompts
-                ai: {
-                    systemPrompt: `Ты — глубокий психологический аналитик. Твоя задача — создать глубокий, развёрнутый анализ ответов человека.
-
-ФОРМАТ ОТВЕТА:
-1. **Общий портрет** — кто этот человек на основе его ответов (2-3 предложения)
-2. **Ключевые паттерны** — какие повторяющиеся темы, убеждения или тенденции заметны
-3. **Сильные стороны** — что проявляется как ресурс
-4. **Зоны роста** — над чем стоит поработать
-5. **Замкнутый круг** — проанализируй ответы на повторяющийся вопрос "Так получилось, что..." (вопросы 16-35). Определи, на каком ответе человек начал повторяться, «зацикливаться» — это указывает на глубинное убеждение или короткое замыкание в мышлении. Опиши, что это за убеждение и почему мышление здесь замыкается.
-6. **Главный вопрос избегания** — сформулируй ОДИН главный вопрос, который человек избегает задать себе. Это должен быть глубокий вопрос, ответ на который он не хочет знать или боится узнать.
-7. **Ключевой вопрос** — одно ключевое наблюдение. Сформулируй на его основании ОДИН глубокий вопрос о том, что человек выбирает сейчас, исходя из психологического стиля его ответов
-
-Пиши на русском языке. Будь глубоким, но конкретным. Избегай общих фраз. Пиши человеку лично во втором лице (а не в третьем)`,
-                    userPrompt: (qaText) => `Вот ответы человека на вопросы:\n\n${qaText}\n\nСоздай глубокий анализ.`,
-                    questionLabel: (i) => `Вопрос ${i}:`,
-                    answerLabel: 'Ответ:',
-                    fallback: `📊 *Ваш анализ*
-
-К сожалению, AI-анализ временно недоступен. Ваши ответы сохранены и будут проанализированы позже.
-
-Пожалуйста, попробуйте снова через некоторое время.`
-                },
-
-                // Congratulations message
-                congratsMessage: `🎉 *Поздравляем!*
-
-Вы успешно завершили *первое домашнее предложение* на пути становления субъектом.
-
-Ваши ответы обработаны и проанализированы. Выше вы видите анализ ваших ответов.
-
-Вы можете сохранить результаты, нажав кнопку ниже.
-
-До встречи на следующих семинарах! 🚀`
-            },
-
-            2: {
-                // Intro message (Disclaimer)
-                introMessage: `⚠️ *Дисклеймер*
-
-Вы начинаете *второе домашнее предложение*.        
-                
-Что делать при затыках или непонятках:
-1. Закрыть глаза, произнести то, на чём затык.
-2. Смотреть, какой образ возникает.
-3. Описать его качества. Дать имя (назвать). Позадаваться вопросами, которые приходят в голову.
-4. Где он находится? Где я по отношению к нему?
-5. Зайти внутрь образа, посмотреть на себя из этого образа. Позадаваться вопросами. Как он ко мне относится? Хочет ли он мне что-то сказать? и т.п.
- `,
-
-                questions: [
-                    // Линия 1. Источник
-                    "Пусть всё идет, так как идёт, потому что...",
-                    "Я не вмешиваюсь, потому что ...",
-                    "Не я это начал(а), а, значит, не мне...",
-                    "Оно само как-нибудь ...",
-                    "Где (или кто) источник происходящего?",
-                    // Линия 2. Отказ от воли
-                    "Я не выбираю, потому что ...",
-                    "Пусть оно решится само, тогда...",
-                    "Мне не нужно принимать решения, потому что ...",
-                    "Если ничего не решать, то ...",
-                    // Линия 3: Отказ от авторства
-                    "Я держусь в стороне, чтобы …",
-                    "Если я не вовлекаюсь, то со мной …",
-                    "Если я наблюдаю, мне не приходится…",
-                    "В моем домике, я защищен(а) от ...",
-                    "Это происходит без моего участия, потому что ...",
-                    "Моё присутствие ни на что не влияет, потому что ...",
-                    "Я не причина происходящего, я просто …",
-                    "Если честно, всё это, по-настоящему, меня не касается, потому что…",
-                    "Я не такой(ая) как все, потому что ...",
-                    "Я скорее наблюдатель, чем ...",
-                    "Мне не обязательно жить всем этим, потому что...",
-                    "Я вне этой ситуации/над ней, а, значит ...",
-                    // Линия 4: (поиск точки контакта с жизнью - 15 раз)
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    // Линия 5
-                    "Когда я хоть чуть-чуть живу, то это значит ...",
-                    "У меня есть свой маленький способ жить жизнь, и это ...",
-                    "Я не обязан(а) менять всё, но зато могу ..."
-                ],
-
-                ai: {
-                    systemPrompt: `Ты — глубокий психологический аналитик. Твоя задача — создать глубокий, развёрнутый анализ ответов человека на основе следующих критериев:
-
-ФОРМАТ ОТВЕТА (3 пункта):
-1. **Где ответы зацикливаются** — анализируя ответы на вопрос "Я не живу эту жизнь полностью, потому что..." (повторяется 15 раз), найди момент, где ответы начинают повторяться или ходить по кругу. Сформулируй это в стиле вопроса "Замечаешь ли ты, что ... ?"
-2. **Вопрос к стилю** — какой вопрос можно поставить к стилю, в котором пользователь отвечает на вопросы? (Проанализируй тон, формулировки, уход от ответа или наоборот чрезмерную детализацию).
-3. **Вопрос к действиям** — какой вопрос можно поставить к действиям, которые станут причиной изменения оснований для поведения?
-
-Пиши на русском языке. Ответ должен быть структурированным, глубоким и побуждающим к размышлению.`,
-                    userPrompt: (qaText) => `Вот ответы человека на вопросы (Второе занятие):\n\n${qaText}\n\nСоздай анализ из 3 пунктов, как указано в инструкции.`,
-                    questionLabel: (i) => `Вопрос ${i}:`,
-                    answerLabel: 'Ответ:',
-                    fallback: `📊 *Ваш анализ*
-
-К сожалению, AI-анализ временно недоступен. Ваши ответы сохранены и будут проанализированы позже.`
-                },
-
-                congratsMessage: `🎉 *Поздравляю!*
-
-Вы успешно завершили *второе домашнее предложение*.
-
-Ваши ответы обработаны и проанализированы. Выше вы видите анализ ваших ответов.
-
-Вы можете сохранить результаты, нажав кнопку ниже.`
-            },
-
-            3: {
-                // Intro message
-                introMessage: `🎓 *Третье занятие*
-
-Вы начинаете третье домашнее предложение.
-
-Отвечайте на вопросы честно и развёрнуто.`,
-
-                questions: [
-                    "Какая проблема беспокоит?",
-                    "Что ты сделал(а) в ответ на эту проблему?",
-                    "Это ведь не был единственный возможный ответ на эту ситуацию. Назови ещё три способа действий.",
-                    "Какой вариант оказался самый действенным?",
-                    "Какой вариант оказался самый провальным?",
-                    "Кто выбрал этот вариант?",
-                    "Что я не могу изменить в этой ситуации?",
-                    "На что я могу повлиять в этой ситуации?",
-                    "Какие решения я могу принять сам(а) в этой сфере?",
-                    "Почему я сижу вниманием в зоне невозможности изменения вместо действий в зоне принятия решений?",
-                    "Какой мой способ реагирования мне не нравится в этой ситуации?",
-                    "Какую альтернативу я могу выбрать?",
-                    "В этой ситуации меня злит...",
-                    "Меня заставили... ",
-                    "И мне пришлось...",
-                    "Я злюсь на то, что...",
-                    "Я соглашаюсь, потому что...",
-                    "Я выбрал(а) так, потому что...",
-                    "Так у кого был рычаг в этой ситуации?\nСубъект - это тот, кто управляет своим ответом. Не всеми сразу, а только одним, на 30 секунд вперёд. Это тот, кто становится причиной самого себя, и отвечает только за одно следствие.",
-                    "Какой следующий шаг (не идеальный, не безопасный) реально зависит от меня?",
-                    "Это - причина или следствие?",
-                    "Был ли у меня выбор перед тем, как заходить в это?",
-                    "Почему я выбрал(а) это?",
-                    "Я терплю, я не ухожу, я молчу - и какое решение я принимаю, оставаясь в этом всём?",
-                    "Какое решение я уже давно знаю, но никак не могу принять?",
-                    "Уже сколько времени я ничего не решаю в этой ситуации?",
-                    "И чего это всё мне стоило?",
-                    "Сколько это будет мне стоить через год?",
-                    "Какое решение я уже реально принял(а) относительно этой ситуации?",
-                    "Какого решения я при этом избегаю?",
-                    "Какое решение я приму в любом случае?"
-                ],
-
-                ai: {
-                    systemPrompt: `Ты — глубокий психологический аналитик. Твоя задача — проанализировать ответы человека на вопросы третьего занятия.
-
-Цель занятия: помочь человеку осознать свою субъектность, увидеть зоны своего влияния и принятые решения.
-
-ФОРМАТ ОТВЕТА:
-1. **Анализ ситуации**: Кратко опиши, как человек видит свою проблему и как он на неё реагирует.
-2. **Зона влияния**: На что человек реально может повлиять, а где он застрял в "зоне невозможности изменения".
-3. **Скрытые решения**: Проанализируй ответы, где человек говорит "меня заставили", "мне пришлось". Покажи, где здесь был его скрытый выбор.
-4. **Цена бездействия**: Отрази, чего стоит человеку его текущая стратегия (вопросы 26-27).
-5. **Главный выбор**: Проанализируй ответ на 23 вопрос ("Я терплю... какое решение я принимаю"). Это активный выбор человека. Подсвети его.
-6. **Вопрос для прояснения**: Поставь вопрос по-новому так, чтобы человек мог прояснить, какое решение им не принимается (на основе всей анкеты и особенно вопросов 24, 29).
-
-Пиши на русском языке. Обращайся к человеку на "вы" или "ты" (в зависимости от контекста его ответов, но лучше уважительно на "вы" или доверительно на "ты", как психолог).`,
-                    userPrompt: (qaText) => `Вот ответы человека на вопросы третьего занятия:\n\n${qaText}\n\nСделай глубокий анализ.`,
-                    questionLabel: (i) => `Вопрос ${i}:`,
-                    answerLabel: 'Ответ:',
-                    fallback: `📊 *Ваш анализ*
-
-К сожалению, AI-анализ временно недоступен. Ваши ответы сохранены и будут проанализированы позже.`
-                },
-
-                congratsMessage: `🎉 *Поздравляем!*
-
-Вы завершили третье занятие.
-
-Ваши ответы проанализированы. Надеемся, это помогло вам увидеть ситуацию с новой стороны.`
-            }
+        // Labels for structured answers (AI prompt and export)
+        answerTypes: {
+            'single-choice': 'выбор варианта',
+            'multi-choice': 'выбор нескольких вариантов',
+            scale: (min, max) => `шкала ${min}–${max}`,
+            yesno: 'да/нет'
+        },
+
+        // Repeated-question blocks (AI prompt and export)
+        repeat: {
+            iteration: (i, count) => `повтор ${i} из ${count}`,
+            summary: (text, done, count) => `Повторяющийся вопрос «${text}»: человек ответил ${done} раз(а) из ${count}.`
+        },
+
+        // Local loop detection over repeat blocks (AI prompt and export)
+        loops: {
+            header: 'АНАЛИЗ ПОВТОРОВ',
+            promptIntro: 'Автоматический анализ повторов (сходство текстов ответов, используй его при анализе зацикливания):',
+            start: (text, at, echo) => `«${text}»: ответы начинают повторяться с повтора ${at} (похож на повтор ${echo}).`,
+            clusters: (list) => `Группы похожих ответов (номера повторов): ${list}.`,
+            none: (text) => `«${text}»: явных повторов в ответах не обнаружено.`
+        },
+
+        // Lesson sections (bot, AI prompt and export)
+        sections: {
+            header: (title) => `📍 *${title}*\n\n`,
+            promptHeading: (title) => `=== ${title} ===`,
+            reflectionsTitle: '🪞 *Коротко по разделам*',
+            reflectionsHeader: 'РАЗМЫШЛЕНИЯ ПО РАЗДЕЛАМ',
+            reflection: (title, text) => `*${title}*\n${text}`,
+            reflectionSystem: 'Ты — внимательный психологический аналитик. По ответам человека на вопросы одного раздела занятия напиши короткое размышление (3–4 предложения): что в этих ответах главное и какой вопрос человеку стоит себе задать. Пиши на русском языке, лично, во втором лице, без заголовков и списков.',
+            reflectionPrompt: (title, qaText) => `Раздел «${title}». Ответы человека:\n\n${qaText}`
+        },
+
+        // Structured analysis (ai.output in the lesson)
+        analysis: {
+            section: (title, text) => `*${title}*\n\n${text}`,
+            preparing: '_Формулирую анализ..._',
+            jsonInstruction: (schema) => `Ответь только JSON-объектом такого вида, без пояснений вокруг и без блока кода:\n${schema}\nКаждое поле — отдельный пункт формата ответа, обычный текст на русском языке. Используй *жирный* и _курсив_ при необходимости, но не заголовки.`,
+            invalidJson: 'Ответ не является корректным JSON-объектом.',
+            truncated: 'Ответ оборвался, не поместившись в лимит длины. Пиши короче, чтобы он поместился целиком.',
+            missingSections: (list) => `В ответе не хватает пунктов: ${list}.`,
+            repairPrompt: (problem) => `${problem}\nВерни весь анализ заново — только JSON-объект со всеми полями.`
+        },
+
+        // Follow-up conversation about the analysis
+        discuss: {
+            button: '💬 Обсудить',
+            exitButton: '⏹ Завершить обсуждение',
+            intro: (turns) => `💬 *Обсуждение анализа*\n\nНапишите, что хотите обсудить — например, главный вопрос, который поднял анализ. Осталось вопросов: ${turns}.`,
+            turnsLeft: (n) => `_Осталось вопросов: ${n}_`,
+            tooLong: (max) => `⚠️ Сообщение слишком длинное (максимум ${max} символов).`,
+            limitReached: '💬 Обсуждение завершено: вопросы закончились. Диалог сохранится в файле с результатами.',
+            ended: '💬 Обсуждение завершено. Диалог сохранится в файле с результатами.',
+            unavailable: '⚠️ Не удалось получить ответ. Попробуйте написать ещё раз чуть позже.',
+            system: 'Ты — внимательный психологический аналитик. Ранее ты проанализировал ответы человека на вопросы занятия, теперь он хочет обсудить этот анализ. Отвечай на русском языке, лично, во втором лице, коротко (до 150 слов), помогай человеку прояснить его мысли и задавай уточняющие вопросы. Не ставь диагнозов и не давай медицинских советов.',
+            context: (qaText) => `Мои ответы на вопросы занятия:\n\n${qaText}\n\nПроанализируй их.`
+        },
+
+        // Rating and regenerating the analysis
+        feedback: {
+            rateUp: '👍',
+            rateDown: '👎',
+            chooseVariant: '🔁 Каким сделать новый анализ?',
+            sameVariant: '🔁 Ещё раз',
+            regenerateUnavailable: '⚠️ Этот анализ уже нельзя пересоздать: после него занятие было начато заново.',
+            thanks: '🙏 Спасибо за оценку! Если хотите, напишите комментарий одним сообщением — что было полезно или чего не хватило.',
+            rated: '🙏 Спасибо за оценку!',
+            rateStale: '⌛ Этот анализ уже заменён новым, оценка не сохранена. Оцените, пожалуйста, последний анализ.',
+            skipButton: 'Без комментария',
+            commentSaved: '✅ Комментарий сохранён, спасибо!'
+        },
+
+        // AI spending limits (see src/ai/budget.js)
+        budget: {
+            regenerateUnavailable: (until) => `⏳ Лимит AI-запросов исчерпан до ${until}, поэтому новый анализ сейчас сделать нельзя. Текущий анализ остаётся в силе.`,
+            discussUnavailable: (until) => `⏳ Лимит AI-запросов исчерпан до ${until}, поэтому обсуждение пока недоступно. Продолжить его можно будет после этого времени.`
         }
     },
 
     uk: {
         // Language selection
         selectLanguage: '🌐 Выберите язык / Оберіть мову:',
+        languageName: '🇺🇦 Українська',
 
         // UI strings
         ui: {
             chooseAction: 'Оберіть дію:',
             startQuestions: '✅ Почати опитування',
-            lesson1: '1 заняття',
-            lesson2: '2 заняття',
-            lesson3: '3 заняття',
+            lessonButton: (n) => `${n} заняття`,
+            staleButton: '⌛ Ця кнопка більше не діє. Продовжте з останнього повідомлення або почніть заново з /start.',
+            busy: '⏳ Зачекайте, попередня дія ще виконується.',
+            analysisInProgress: '⏳ Аналіз уже готується — зачекайте трохи.',
             questionProgress: (current, total) => `📝 *Питання ${current} з ${total}*\n\n`,
             answerTooLong: (max) => `⚠️ Відповідь занадто довга(максимум ${max} символів).Будь ласка, скоротіть відповідь.`,
             analyzing: '⏳ *Аналізую ваші відповіді...*\n\nЦе може зайняти хвилину.',
-            deepAnalysis: (summary) => `📊 * Глибокий аналіз *\n\n${summary} `,
+            deepAnalysis: (summary) => `📊 *Глибокий аналіз*\n\n${summary} `,
             savePrompt: 'Бажаєте зберегти результати?',
             saveButton: '💾 Зберегти в .txt',
             restartButton: '🔄 Почати знову',
             noDataToSave: '❌ Немає даних для збереження. Почніть знову з /start',
             resultsSaved: '✅ Результати збережені та надіслані вам файлом.',
-            resultsCaption: '📄 Ваші результати'
+            resultsCaption: '📄 Ваші результати',
+            historyEmpty: '📭 У вас поки немає завершених занять.',
+            historyTitle: '📚 *Ваші завершені заняття*\n\nОберіть, що надіслати повторно:',
+            historyEntry: (lesson, date) => `${lesson} — ${date}`,
+            historySummaryButton: '📊 Аналіз',
+            historyExportButton: '💾 Файл',
+            historyNotFound: '❌ Запис не знайдено.',
+            backButton: '⬅️ Назад',
+            editAnswersButton: '✏️ Змінити відповідь',
+            editAnswerButton: (n) => `✏️ ${n}`,
+            cancelEditButton: '↩️ Скасувати',
+            chooseAnswerToEdit: 'Яку відповідь ви хочете змінити?',
+            currentAnswer: (answer) => `\n\n_Поточна відповідь:_ ${answer}\n\nНадішліть нову відповідь.`,
+            answerUpdated: (n) => `✅ Відповідь ${n} оновлено.`,
+            reviewTitle: '📋 *Перевірте ваші відповіді*',
+            reviewHint: 'Натисніть на номер, щоб змінити відповідь, або підтвердіть, щоб отримати аналіз.',
+            confirmAnswersButton: '✅ Підтвердити та отримати аналіз',
+            answerSyncedRegenerate: (n) => `✏️ Відповідь ${n} змінено. Аналіз було зроблено за попередньою версією — створити його заново?`,
+            answerSyncedReask: (n) => `✏️ Відповідь ${n} змінено. З неї будувалися варіанти наступних питань — дайте на них відповідь заново.`,
+            regenerateButton: '🔁 Створити аналіз заново',
+            yes: 'Так',
+            no: 'Ні',
+            doneButton: '✔️ Готово',
+            multiChoiceHint: '\n\n_Можна обрати кілька варіантів, потім натисніть «Готово»._',
+            useButtonsHint: '👆 Будь ласка, оберіть відповідь за допомогою кнопок.',
+            selectAtLeastOne: '☝️ Оберіть хоча б один варіант.',
+            repeatProgress: (i, count) => `🔁 Повтор ${i}/${count}\n\n`,
+            finishRepeatButton: '⏹ Я закінчив(ла) з цим питанням',
+            deferredAnalysisReady: '✨ Аналіз ваших відповідей готовий — як і обіцяли.'
         },
 
         // File export strings
@@ -326,271 +217,145 @@ export const translations = {
             answerLabel: 'Відповідь:',
             analysisHeader: 'ГЛИБОКИЙ АНАЛІЗ',
             analysisUnavailable: 'Аналіз недоступний',
+            discussionHeader: 'ОБГОВОРЕННЯ',
+            discussionUser: 'Ви:',
+            discussionAssistant: 'AI:',
             congratsFooter: 'Вітаємо із завершенням етапу!',
             date: 'Дата:',
             time: 'Час:'
         },
 
-        chains: {
-            1: {
-                // Intro message
-                introMessage: `🎓 * Ласкаво просимо! *
-
-
-
-    Ви розпочинаєте перше домашнє завдання.
-
-Перед початком подумайте і сформулюйте для себе проблему, яка зараз турбує вас найбільше.Її не потрібно записувати, достатньо просто мати на увазі, відповідаючи на подальші питання.
-
-Зараз вам буде поставлено 35 питань.Відповідайте на кожне з них розгорнуто і чесно.
-
-Після завершення ви отримаєте глибокий аналіз ваших відповідей.
-
-Готові розпочати ? `,
-
-                // Questions - Крок 1: Пошук джерела (всередині/зовні)
-                questions: [
-                    "Зі мною це сталося, тому що...",
-                    "Так вийшло, тому що...",
-                    "Я опинився(лася) у цій ситуації через...",
-                    "Я б не опинився(лася) тут, якби не...",
-                    // Крок 2: Символічна постать/особа
-                    "Якби не ..., у мене було б усе інакше.",
-                    "Якби цього не сталося, я був би (була б) іншою людиною, і мені б не довелося...",
-                    "Якщо заплющити очі й подивитися, хто є зовнішнім господарем моєї прив'язаності, з'являється постать (обличчя) ...",
-                    // Крок 3: Відмова від волі
-                    "Мені доводиться погоджуватися на все це, тому що...",
-                    "Мені доводиться мовчати, тому що...",
-                    "Мені доводиться робити все це, тому що...",
-                    "У мене немає вибору (або вибір є, але я обираю це), тому що...",
-                    "Я віддав(ла) свою волю ...",
-                    // Крок 4: Відмова від авторства
-                    "Я б ніколи так не чинив(ла), якби (не) ...",
-                    "За нормальних умов я б...",
-                    "Виходить, що мною керує ...",
-                    // Крок 5: Замкнене коло (20 разів)
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що...",
-                    "Так вийшло, що..."
-                ],
-
-                // AI prompts
-                ai: {
-                    systemPrompt: `Ти — глибокий психологічний аналітик.Твоє завдання — створити глибокий, розгорнутий аналіз відповідей людини.
-
-ФОРМАТ ВІДПОВІДІ:
-1. ** Загальний портрет ** — хто ця людина на основі її відповідей(2 - 3 речення)
-2. ** Ключевые патерни ** — які теми, переконання або тенденції, що повторюються, помітні
-3. ** Сильні сторони ** — що проявляється як ресурс
-4. ** Зони росту ** — над чим варто попрацювати
-5. ** Замкнене коло ** — проаналізуй відповіді на питання «Так вийшло, що...», яке повторюється(питання 16 - 35).Визнач, на якій відповіді людина почала повторюватися, «зациклюватися» — це вказує на глибинне переконання або коротке замикання в мисленні.Опиши, що це за переконання і чому мислення тут замикається.
-6. ** Головне питання уникнення ** — сформулюй ОДНЕ головне питання, яке людина уникає поставити собі.Це має бути глибоке питання, відповідь на яке вона не хоче знати або боїться дізнатися.
-7. ** Ключове питання ** — одне ключове спостереження.Сформулюй на його підставі ОДНЕ глибоке питання про те, що людина обирає зараз, виходячи з психологічного стилю її відповідей
-
-Пиши українською мовою.Будь глибоким, але конкретним.Уникай загальних фраз.Пиши людині особисто у другій особі(а не в третій)`,
-                    userPrompt: (qaText) => `Ось відповіді людини на питання: \n\n${qaText} \n\nСтвори глибокий аналіз.`,
-                    questionLabel: (i) => `Питання ${i}: `,
-                    answerLabel: 'Відповідь:',
-                    fallback: `📊 * Ваш аналіз *
-
-    На жаль, AI - аналіз тимчасово недоступний.Ваші відповіді збережені та будуть проаналізовані пізніше.
-
-Будь ласка, спробуйте знову через деякий час.`
-                },
-
-                // Congratulations message
-                congratsMessage: `🎉 * Вітаємо! *
-
-    Ви успішно завершили * перше домашнє речення * на шляху становлення суб'єктом.
-
-Ваші відповіді оброблені та проаналізовані.Вище ви бачите аналіз ваших відповідей.
-
-Ви можете зберегти результати, натиснувши кнопку нижче.
-
-До зустрічі на наступних семінарах! 🚀`
-            },
-            2: {
-                // Intro message (Disclaimer) - Placeholder (using RU for now)
-                introMessage: `⚠️ * Дисклеймер *
-
-    (Використовується текст російською мовою, оскільки переклад відсутній)
-
-Что делать при затыках или непонятках:
-1. Закрыть глаза, произнести то на чем затык.
-2. Смотреть, какой образ возникает.
-3. Описать его качества.Дать имя(назвать).Позадаваться вопросами, которые приходят в голову.
-4. Где он находится ? Где я по отношению к нему ?
-    5. Зайти внутрь образа, посмотреть на себя из этого образа.Позадаваться вопросами.Как он ко мне относится ? Хочет ли он мне что - то сказать ? и т.п.
-
---- Конец дисклеймера-- -
-
-    Ви починаєте * друге заняття *.Готові розпочати ? `,
-
-                questions: [
-                    // Placeholder: using Russian questions as base, slightly adapted if possible or left as is
-                    "Пусть всё идет, так как идёт, потому что...",
-                    "Я не вмешиваюсь, потому что ...",
-                    "Не я это начал(а), а значит не мне...",
-                    "Оно само как-нибудь ...",
-                    "Где (или кто) источник происходящего?",
-                    "Я не выбираю, потому что ...",
-                    "Пусть оно решится само, тогда...",
-                    "Мне не нужно принимать решения, потому что ...",
-                    "Если ничего не решать, то ...",
-                    "Я держусь в стороне, чтобы …",
-                    "Если я не вовлекаюсь, то со мной …",
-                    "Если я наблюдаю, мне не приходится…",
-                    "В моем домике, я защищен(а) от ...",
-                    "Это происходит без моего участия, потому что ...",
-                    "Моё присутствие ни на что не влияет, потому что ...",
-                    "Я не причина происходящего, я просто …",
-                    "Если честно, всё это, по-настоящему, меня не касается, потому что…",
-                    "Я не такой(ая) как все, потому что ...",
-                    "Я скорее наблюдатель, чем ...",
-                    "Мне не обязательно жить всем этим, потому что...",
-                    "Я вне этой ситуации/над ней, а, значит ...",
-                    // Repeated 15 times
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-                    "Я не живу эту жизнь полностью, потому что...",
-
-                    "Когда я хоть чуть-чуть живу, то это значит ...",
-                    "У меня есть свой маленький способ жить жизнь, и это ...",
-                    "Я не обязан(а) менять всё, но зато могу ..."
-                ],
-
-                ai: {
-                    systemPrompt: `Ты — глубокий психологический аналитик.Твоя задача — создать глубокий, развёрнутый анализ ответов человека.
-
-ФОРМАТ ОТВЕТА(3 пункта):
-1. ** Указание, где ответы зацикливаются ** — анализируя ответы на вопрос "Я не живу эту жизнь полностью, потому что..."(повторяется 15 раз), найди момент, где ответы начинают повторяться или ходить по кругу.Сформулируй это в стиле вопроса "Замечаешь ли ты, что ... ?"
-2. ** Вопрос к стилю ** — какой вопрос можно поставить к стилю, в котором пользователь отвечает на вопросы ?
-    3. ** Вопрос к действиям ** — какой вопрос можно поставить к действиям, которые станут причиной изменения оснований для поведения ?
-
-        Пиши на ** украинском языке **.`,
-                    userPrompt: (qaText) => `Ось відповіді людини на питання(Друге заняття): \n\n${qaText} \n\nСтвори глибокий аналіз.`,
-                    questionLabel: (i) => `Питання ${i}: `,
-                    answerLabel: 'Відповідь:',
-                    fallback: `📊 * Ваш аналіз *
-
-    На жаль, AI - аналіз тимчасово недоступний.Ваші відповіді збережені та будуть проаналізовані пізніше.`
-                },
-
-                congratsMessage: `🎉 * Вітаємо! *
-
-    Ви успішно завершили * друге заняття *.
-
-Ваші відповіді оброблені та проаналізовані.Више ви бачите аналіз ваших відповідей.
-
-Ви можете зберегти результати, натиснувши кнопку нижче.`
-            },
-            3: {
-                // Intro message - Placeholder
-                introMessage: `🎓 * Третье занятие * (UA Placeholder)
-
-Вы начинаете третье домашнее предложение.`,
-
-                questions: [
-                    "Какая проблема беспокоит?",
-                    "Что ты сделал(а) в ответ на эту проблему?",
-                    "Это ведь не был единственный возможный ответ на эту ситуацию. Назови ещё три способа действий.",
-                    "Какой вариант оказался самый действенным?",
-                    "Какой вариант оказался самый провальным?",
-                    "Кто выбрал этот вариант?",
-                    "Что я не могу изменить в этой ситуации?",
-                    "На что я могу повлиять в этой ситуации?",
-                    "Какие решения я могу принять сам(а) в этой сфере?",
-                    "Почему я сижу вниманием в зоне невозможности изменения вместо действий в зоне принятия решений?",
-                    "Какой мой способ реагирования мне не нравится в этой ситуации?",
-                    "Какую альтернативу я могу выбрать?",
-                    "В этой ситуации меня злит...",
-                    "Меня заставили... ",
-                    "И мне пришлось...",
-                    "Я злюсь на то, что...",
-                    "Я соглашаюсь, потому что...",
-                    "Я выбрал(а) так, потому что...",
-                    "Так у кого был рычаг в этой ситуации?\nСубъект - это тот, кто управляет своим ответом. Не всеми сразу, а только одним, на 30 секунд вперёд. Это тот, кто становится причиной самого себя, и отвечает только за одно следствие.",
-                    "Какой следующий шаг (не идеальный, не безопасный) реально зависит от меня?",
-                    "Это - причина или следствие?",
-                    "Был ли у меня выбор перед тем, как заходить в это?",
-                    "Почему я выбрал(а) это?",
-                    "Я терплю, я не ухожу, я молчу - и какое решение я принимаю, оставаясь в этом всём?",
-                    "Какое решение я уже давно знаю, но никак не могу принять?",
-                    "Уже сколько времени я ничего не решаю в этой ситуации?",
-                    "И чего это всё мне стоило?",
-                    "Сколько это будет мне стоить через год?",
-                    "Какое решение я уже реально принял(а) относительно этой ситуации?",
-                    "Какого решения я при этом избегаю?",
-                    "Какое решение я приму в любом случае?"
-                ],
-
-                ai: {
-                    systemPrompt: `Ты — глубокий психологический аналитик.`, // Placeholder
-                    userPrompt: (qaText) => `Вот ответы человека на вопросы третьего занятия: \n\n${qaText} \n\nСделай глубокий анализ.`,
-                    questionLabel: (i) => `Вопрос ${i}: `,
-                    answerLabel: 'Ответ:',
-                    fallback: `📊 * Ваш аналіз *
-
-    AI - аналіз тимчасово недоступний.`
-                },
-
-                congratsMessage: `🎉 * Вітаємо! *
-
-    Ви завершили третє заняття.`
-            }
+        // Labels for structured answers (AI prompt and export)
+        answerTypes: {
+            'single-choice': 'вибір варіанта',
+            'multi-choice': 'вибір кількох варіантів',
+            scale: (min, max) => `шкала ${min}–${max}`,
+            yesno: 'так/ні'
+        },
+
+        // Repeated-question blocks (AI prompt and export)
+        repeat: {
+            iteration: (i, count) => `повтор ${i} з ${count}`,
+            summary: (text, done, count) => `Питання, що повторюється, «${text}»: людина відповіла ${done} раз(и) з ${count}.`
+        },
+
+        // Local loop detection over repeat blocks (AI prompt and export)
+        loops: {
+            header: 'АНАЛІЗ ПОВТОРІВ',
+            promptIntro: 'Автоматичний аналіз повторів (схожість текстів відповідей, використай його в аналізі зациклення):',
+            start: (text, at, echo) => `«${text}»: відповіді починають повторюватися з повтору ${at} (схожий на повтор ${echo}).`,
+            clusters: (list) => `Групи схожих відповідей (номери повторів): ${list}.`,
+            none: (text) => `«${text}»: явних повторів у відповідях не виявлено.`
+        },
+
+        // Lesson sections (bot, AI prompt and export)
+        sections: {
+            header: (title) => `📍 *${title}*\n\n`,
+            promptHeading: (title) => `=== ${title} ===`,
+            reflectionsTitle: '🪞 *Коротко за розділами*',
+            reflectionsHeader: 'РОЗДУМИ ЗА РОЗДІЛАМИ',
+            reflection: (title, text) => `*${title}*\n${text}`,
+            reflectionSystem: 'Ти — уважний психологічний аналітик. За відповідями людини на питання одного розділу заняття напиши короткий роздум (3–4 речення): що в цих відповідях головне і яке питання людині варто собі поставити. Пиши українською мовою, особисто, у другій особі, без заголовків і списків.',
+            reflectionPrompt: (title, qaText) => `Розділ «${title}». Відповіді людини:\n\n${qaText}`
+        },
+
+        // Structured analysis (ai.output in the lesson)
+        analysis: {
+            section: (title, text) => `*${title}*\n\n${text}`,
+            preparing: '_Формулюю аналіз..._',
+            jsonInstruction: (schema) => `Відповідай лише JSON-об'єктом такого вигляду, без пояснень навколо і без блоку коду:\n${schema}\nКожне поле — окремий пункт формату відповіді, звичайний текст українською мовою. Використовуй *жирний* і _курсив_ за потреби, але не заголовки.`,
+            invalidJson: "Відповідь не є коректним JSON-об'єктом.",
+            truncated: 'Відповідь обірвалася, не вмістившись у ліміт довжини. Пиши коротше, щоб вона вмістилася повністю.',
+            missingSections: (list) => `У відповіді бракує пунктів: ${list}.`,
+            repairPrompt: (problem) => `${problem}\nПоверни весь аналіз заново — лише JSON-об'єкт з усіма полями.`
+        },
+
+        // Follow-up conversation about the analysis
+        discuss: {
+            button: '💬 Обговорити',
+            exitButton: '⏹ Завершити обговорення',
+            intro: (turns) => `💬 *Обговорення аналізу*\n\nНапишіть, що хочете обговорити — наприклад, головне питання, яке підняв аналіз. Залишилось питань: ${turns}.`,
+            turnsLeft: (n) => `_Залишилось питань: ${n}_`,
+            tooLong: (max) => `⚠️ Повідомлення занадто довге (максимум ${max} символів).`,
+            limitReached: '💬 Обговорення завершено: питання закінчилися. Діалог збережеться у файлі з результатами.',
+            ended: '💬 Обговорення завершено. Діалог збережеться у файлі з результатами.',
+            unavailable: '⚠️ Не вдалося отримати відповідь. Спробуйте написати ще раз трохи згодом.',
+            system: 'Ти — уважний психологічний аналітик. Раніше ти проаналізував відповіді людини на питання заняття, тепер вона хоче обговорити цей аналіз. Відповідай українською мовою, особисто, у другій особі, коротко (до 150 слів), допомагай людині прояснити її думки і став уточнювальні питання. Не став діагнозів і не давай медичних порад.',
+            context: (qaText) => `Мої відповіді на питання заняття:\n\n${qaText}\n\nПроаналізуй їх.`
+        },
+
+        // Rating and regenerating the analysis
+        feedback: {
+            rateUp: '👍',
+            rateDown: '👎',
+            chooseVariant: '🔁 Яким зробити новий аналіз?',
+            sameVariant: '🔁 Ще раз',
+            regenerateUnavailable: '⚠️ Цей аналіз уже не можна створити заново: після нього заняття було розпочато знову.',
+            thanks: '🙏 Дякуємо за оцінку! Якщо хочете, напишіть коментар одним повідомленням — що було корисним або чого забракло.',
+            rated: '🙏 Дякуємо за оцінку!',
+            rateStale: '⌛ Цей аналіз уже замінено новим, оцінку не збережено. Оцініть, будь ласка, останній аналіз.',
+            skipButton: 'Без коментаря',
+            commentSaved: '✅ Коментар збережено, дякуємо!'
+        },
+
+        // AI spending limits (see src/ai/budget.js)
+        budget: {
+            regenerateUnavailable: (until) => `⏳ Ліміт AI-запитів вичерпано до ${until}, тому новий аналіз зараз зробити не можна. Поточний аналіз залишається в силі.`,
+            discussUnavailable: (until) => `⏳ Ліміт AI-запитів вичерпано до ${until}, тому обговорення поки недоступне. Продовжити його можна буде після цього часу.`
         }
     },
 
     en: {
         // Language selection
         selectLanguage: '🌐 Select Language:',
+        languageName: '🇬🇧 English',
 
         // UI strings
         ui: {
             chooseAction: 'Choose action:',
             startQuestions: '✅ Start survey',
-            lesson1: 'Lesson 1',
-            lesson2: 'Lesson 2',
-            lesson3: 'Lesson 3',
-            questionProgress: (current, total) => `📝 * Question ${current} of ${total}*\n\n`,
+            lessonButton: (n) => `Lesson ${n}`,
+            staleButton: '⌛ This button no longer works. Continue from the latest message or start over with /start.',
+            busy: '⏳ Please wait, the previous action is still running.',
+            analysisInProgress: '⏳ The analysis is already being prepared — please wait a moment.',
+            questionProgress: (current, total) => `📝 *Question ${current} of ${total}*\n\n`,
             answerTooLong: (max) => `⚠️ Answer is too long(max ${max} chars).Please shorten your answer.`,
             analyzing: '⏳ *Analyzing your answers...*\n\nThis may take a minute.',
-            deepAnalysis: (summary) => `📊 * Deep Analysis *\n\n${summary} `,
+            deepAnalysis: (summary) => `📊 *Deep Analysis*\n\n${summary} `,
             savePrompt: 'Do you want to save the results?',
             saveButton: '💾 Save to .txt',
             restartButton: '🔄 Start over',
             noDataToSave: '❌ No data to save. Start over with /start',
             resultsSaved: '✅ Results saved and sent to you as a file.',
-            resultsCaption: '📄 Your results'
+            resultsCaption: '📄 Your results',
+            historyEmpty: '📭 You have no completed lessons yet.',
+            historyTitle: '📚 *Your completed lessons*\n\nChoose what to send again:',
+            historyEntry: (lesson, date) => `${lesson} — ${date}`,
+            historySummaryButton: '📊 Analysis',
+            historyExportButton: '💾 File',
+            historyNotFound: '❌ Entry not found.',
+            backButton: '⬅️ Back',
+            editAnswersButton: '✏️ Edit answer',
+            editAnswerButton: (n) => `✏️ ${n}`,
+            cancelEditButton: '↩️ Cancel',
+            chooseAnswerToEdit: 'Which answer do you want to edit?',
+            currentAnswer: (answer) => `\n\n_Current answer:_ ${answer}\n\nSend a new answer.`,
+            answerUpdated: (n) => `✅ Answer ${n} updated.`,
+            reviewTitle: '📋 *Review your answers*',
+            reviewHint: 'Tap a number to edit an answer, or confirm to get the analysis.',
+            confirmAnswersButton: '✅ Confirm and analyze',
+            answerSyncedRegenerate: (n) => `✏️ Answer ${n} was changed. The analysis was based on the previous version — regenerate it?`,
+            answerSyncedReask: (n) => `✏️ Answer ${n} was changed. The options of the following questions were built from it — please answer them again.`,
+            regenerateButton: '🔁 Regenerate analysis',
+            yes: 'Yes',
+            no: 'No',
+            doneButton: '✔️ Done',
+            multiChoiceHint: '\n\n_You can pick several options, then tap "Done"._',
+            useButtonsHint: '👆 Please choose your answer with the buttons.',
+            selectAtLeastOne: '☝️ Choose at least one option.',
+            repeatProgress: (i, count) => `🔁 Repeat ${i}/${count}\n\n`,
+            finishRepeatButton: "⏹ I'm done with this question",
+            deferredAnalysisReady: '✨ The analysis of your answers is ready, as promised.'
         },
 
         // File export strings
@@ -601,242 +366,91 @@ export const translations = {
             answerLabel: 'Answer:',
             analysisHeader: 'DEEP ANALYSIS',
             analysisUnavailable: 'Analysis unavailable',
+            discussionHeader: 'DISCUSSION',
+            discussionUser: 'You:',
+            discussionAssistant: 'AI:',
             congratsFooter: 'Congratulations on completing the stage!',
             date: 'Date:',
             time: 'Time:'
         },
 
-        chains: {
-            1: {
-                // Intro message
-                introMessage: `🎓 * Welcome! *
-
-    You are starting your first homework sentence.
-
-Before beginning, think and formulate for yourself a problem that worries you the most right now.You don't need to write it down, just keep it in mind when answering the following questions.
-
-You will now be asked 35 questions.Answer each of them in detail and honestly.
-
-After completion, you will receive a deep analysis of your answers.
-
-Ready to start ? `,
-
-                // Questions - Step 1
-                questions: [
-                    "This happened to me because...",
-                    "It turned out this way because...",
-                    "I ended up in this situation due to...",
-                    "I wouldn't be here if not for...",
-                    // Step 2
-                    "If not for ..., everything would be different for me",
-                    "If this hadn't happened, I would be a different person, and I wouldn't have to...",
-                    "If I close my eyes and look at who is the external master of my attachment, the figure (face) of ... appears",
-                    // Step 3
-                    "I have to agree to all this because...",
-                    "I have to remain silent because...",
-                    "I have to do all this because...",
-                    "I have no choice (or I have a choice, but I choose this) because...",
-                    "I handed over my will to ...",
-                    // Step 4
-                    "I would never act this way if (not) ...",
-                    "Under normal conditions I would...",
-                    "It turns out that I am controlled by ...",
-                    // Step 5
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that...",
-                    "It just happened that..."
-                ],
-
-                // AI prompts
-                ai: {
-                    systemPrompt: `You are a deep psychological analyst.Your task is to create a deep, detailed analysis of a person's answers.
-
-RESPONSE FORMAT:
-1. ** General Portrait ** — who is this person based on their answers(2 - 3 sentences)
-2. ** Key Patterns ** — what recurring themes, beliefs, or tendencies are noticeable
-3. ** Strengths ** — what manifests as a resource
-4. ** Growth Areas ** — what is worth working on
-5. ** Vicious Circle ** — analyze the answers to the repeating question "It just happened that..."(questions 16 - 35).Determine at which answer the person started to repeat themselves, to "loop" — this indicates a deep belief or a short circuit in thinking.Describe what this belief is and why thinking loops here.
-6. ** Main Avoidance Question ** — formulate ONE main question that the person avoids asking themselves.It should be a deep question, the answer to which they do not want to know or are afraid to find out.
-7. ** Key Question ** — one key observation.Formulate based on it ONE deep question about what the person is choosing right now, based on the psychological style of their answers
-
-Write in English.Be deep, but specific.Avoid general phrases.Write to the person personally in the second person(not in the third).`,
-                    userPrompt: (qaText) => `Here are the person's answers to the questions:\n\n${qaText}\n\nCreate a deep analysis.`,
-                    questionLabel: (i) => `Question ${i}:`,
-                    answerLabel: 'Answer:',
-                    fallback: `📊 *Your Analysis*
-
-Unfortunately, AI analysis is temporarily unavailable. Your answers have been saved and will be analyzed later.
-
-Please try again in a while.`
-                },
-
-                congratsMessage: `🎉 *Congratulations!*
-
-You have successfully completed the *first homework sentence* on the path to becoming a subject.
-
-Your answers have been processed and analyzed. You can see the analysis of your answers above.
-
-You can save the results by clicking the button below.
-
-See you at the next seminars! 🚀`
-            },
-            2: {
-                // Intro message (Disclaimer) - Placeholder
-                introMessage: `⚠️ *Disclaimer*
-
-(Text is currently in Russian)
-
-Что делать при затыках или непонятках:
-1. Закрыть глаза, произнести то на чем затык.
-2. Смотреть, какой образ возникает.
-3. Описать его качества. Дать имя (назвать). Позадаваться вопросами, которые приходят в голову.
-4. Где он находится? Где я по отношению к нему?
-5. Зайти внутрь образа, посмотреть на себя из этого образа. Позадаваться вопросами. Как он ко мне относится? Хочет ли он мне что-то сказать? и т.п.
-
----End of Disclaimer---
-
-You are starting *Lesson 2*. Ready to start?`,
-
-                questions: [
-                    // Placeholder questions using Russian keys/text where translation isn't available
-                    "Пусть всё идет, так как идёт, потому что...",
-                    "Я не вмешиваюсь, потому что ...",
-                    "Не я это начал(а), а значит не мне...",
-                    "Оно само как-нибудь ...",
-                    "Где (или кто) источник происходящего?",
-                    "Я не выбираю, потому что ...",
-                    "Пусть оно решится само, тогда...",
-                    "Мне не нужно принимать решения, потому что ...",
-                    "Если ничего не решать, то ...",
-                    "Я держусь в стороне, чтобы …",
-                    "Если я не вовлекаюсь, то со мной …",
-                    "Если я наблюдаю, мне не приходится…",
-                    "В моем домике, я защищен(а) от ...",
-                    "Это происходит без моего участия, потому что ...",
-                    "Моё присутствие ни на что не влияет, потому что ...",
-                    "Я не причина происходящего, я просто …",
-                    "Если честно, всё это, по-настоящему, меня не касается, потому что…",
-                    "Я не такой(ая) как все, потому что ...",
-                    "Я скорее наблюдатель, чем ...",
-                    "Мне не обязательно жить всем этим, потому что...",
-                    "Я вне этой ситуации/над ней, а, значит ...",
-                    // Repeated 15 times
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-                    "I am not living this life fully because...",
-
-                    "Когда я хоть чуть-чуть живу, то это значит ...",
-                    "У меня есть свой маленький способ жить жизнь, и это ...",
-                    "Я не обязан(а) менять всё, но зато могу ..."
-                ],
-
-                ai: {
-                    systemPrompt: `You are a deep psychological analyst. Your task is to create a deep, detailed analysis of a person's answers.
-
-RESPONSE FORMAT (3 points):
-1. **Loop Analysis** — analyze the answers to the repeating question "I am not living this life fully because..." (repeated 15 times). Find the moment where answers start to loop. Formulate it as a question: "Do you notice that ... ?"
-2. **Style Question** — what question can be asked about the style in which the user answers?
-3. **Action Question** — what question can be asked about the actions that will cause a change in the grounds for behavior?
-
-Write in **English**.`,
-                    userPrompt: (qaText) => `Here are the person's answers (Lesson 2):\n\n${qaText}\n\nCreate a deep analysis.`,
-                    questionLabel: (i) => `Question ${i}:`,
-                    answerLabel: 'Answer:',
-                    fallback: `📊 *Your Analysis*
-
-Analysis unavailable.`
-                },
-
-                congratsMessage: `🎉 *Congratulations!*
-
-You have successfully completed *Lesson 2*.
-
-Your answers have been processed and analyzed.`
-            },
-            3: {
-                // Intro message - Placeholder
-                introMessage: `🎓 *Lesson 3* (EN Placeholder)
-
-You are starting Lesson 3.`,
-
-                questions: [
-                    "Какая проблема беспокоит?",
-                    "Что ты сделал(а) в ответ на эту проблему?",
-                    "Это ведь не был единственный возможный ответ на эту ситуацию. Назови ещё три способа действий.",
-                    "Какой вариант оказался самый действенным?",
-                    "Какой вариант оказался самый провальным?",
-                    "Кто выбрал этот вариант?",
-                    "Что я не могу изменить в этой ситуации?",
-                    "На что я могу повлиять в этой ситуации?",
-                    "Какие решения я могу принять сам(а) в этой сфере?",
-                    "Почему я сижу вниманием в зоне невозможности изменения вместо действий в зоне принятия решений?",
-                    "Какой мой способ реагирования мне не нравится в этой ситуации?",
-                    "Какую альтернативу я могу выбрать?",
-                    "В этой ситуации меня злит...",
-                    "Меня заставили... ",
-                    "И мне пришлось...",
-                    "Я злюсь на то, что...",
-                    "Я соглашаюсь, потому что...",
-                    "Я выбрал(а) так, потому что...",
-                    "Так у кого был рычаг в этой ситуации?\nСубъект - это тот, кто управляет своим ответом. Не всеми сразу, а только одним, на 30 секунд вперёд. Это тот, кто становится причиной самого себя, и отвечает только за одно следствие.",
-                    "Какой следующий шаг (не идеальный, не безопасный) реально зависит от меня?",
-                    "Это - причина или следствие?",
-                    "Был ли у меня выбор перед тем, как заходить в это?",
-                    "Почему я выбрал(а) это?",
-                    "Я терплю, я не ухожу, я молчу - и какое решение я принимаю, оставаясь в этом всём?",
-                    "Какое решение я уже давно знаю, но никак не могу принять?",
-                    "Уже сколько времени я ничего не решаю в этой ситуации?",
-                    "И чего это всё мне стоило?",
-                    "Сколько это будет мне стоить через год?",
-                    "Какое решение я уже реально принял(а) относительно этой ситуации?",
-                    "Какого решения я при этом избегаю?",
-                    "Какое решение я приму в любом случае?"
-                ],
-
-                ai: {
-                    systemPrompt: `You are a deep psychological analyst.`,
-                    userPrompt: (qaText) => `Here are the person's answers (Lesson 3):\n\n${qaText}\n\nCreate a deep analysis.`,
-                    questionLabel: (i) => `Question ${i}:`,
-                    answerLabel: 'Answer:',
-                    fallback: `📊 *Your Analysis*
-
-Analysis unavailable.`
-                },
-
-                congratsMessage: `🎉 *Congratulations!*
-
-You have completed Lesson 3.`
-            }
+        // Labels for structured answers (AI prompt and export)
+        answerTypes: {
+            'single-choice': 'single choice',
+            'multi-choice': 'multiple choice',
+            scale: (min, max) => `scale ${min}–${max}`,
+            yesno: 'yes/no'
+        },
+
+        // Repeated-question blocks (AI prompt and export)
+        repeat: {
+            iteration: (i, count) => `repeat ${i} of ${count}`,
+            summary: (text, done, count) => `Repeated question "${text}": the person answered ${done} of ${count} times.`
+        },
+
+        // Local loop detection over repeat blocks (AI prompt and export)
+        loops: {
+            header: 'REPETITION ANALYSIS',
+            promptIntro: 'Automatic repetition analysis (text similarity of the answers; use it when analysing looping):',
+            start: (text, at, echo) => `"${text}": answers start repeating at repeat ${at} (similar to repeat ${echo}).`,
+            clusters: (list) => `Groups of similar answers (repeat numbers): ${list}.`,
+            none: (text) => `"${text}": no clear repetition found in the answers.`
+        },
+
+        // Lesson sections (bot, AI prompt and export)
+        sections: {
+            header: (title) => `📍 *${title}*\n\n`,
+            promptHeading: (title) => `=== ${title} ===`,
+            reflectionsTitle: '🪞 *Section by section*',
+            reflectionsHeader: 'SECTION REFLECTIONS',
+            reflection: (title, text) => `*${title}*\n${text}`,
+            reflectionSystem: 'You are an attentive psychological analyst. Based on a person\'s answers to the questions of one lesson section, write a short reflection (3–4 sentences): what matters most in these answers and what question the person should ask themselves. Write in English, personally, in the second person, without headings or lists.',
+            reflectionPrompt: (title, qaText) => `Section "${title}". The person's answers:\n\n${qaText}`
+        },
+
+        // Structured analysis (ai.output in the lesson)
+        analysis: {
+            section: (title, text) => `*${title}*\n\n${text}`,
+            preparing: '_Writing the analysis..._',
+            jsonInstruction: (schema) => `Reply with a JSON object of this shape only, with no text around it and no code block:\n${schema}\nEach field is one point of the answer format, plain text in English. Use *bold* and _italics_ where needed, but no headings.`,
+            invalidJson: 'The answer is not a valid JSON object.',
+            truncated: 'The answer was cut off at the length limit. Write more concisely so that it fits.',
+            missingSections: (list) => `The answer is missing these points: ${list}.`,
+            repairPrompt: (problem) => `${problem}\nReturn the whole analysis again - only the JSON object with every field.`
+        },
+
+        // Follow-up conversation about the analysis
+        discuss: {
+            button: '💬 Discuss',
+            exitButton: '⏹ End discussion',
+            intro: (turns) => `💬 *Discussing the analysis*\n\nWrite what you would like to discuss - for example, the main question the analysis raised. Questions left: ${turns}.`,
+            turnsLeft: (n) => `_Questions left: ${n}_`,
+            tooLong: (max) => `⚠️ The message is too long (maximum ${max} characters).`,
+            limitReached: '💬 The discussion is over: no questions left. The dialog will be included in the results file.',
+            ended: '💬 The discussion is over. The dialog will be included in the results file.',
+            unavailable: '⚠️ Could not get a reply. Please try writing again a bit later.',
+            system: 'You are an attentive psychological analyst. Earlier you analyzed a person\'s answers to the questions of a lesson, and now they want to discuss the analysis. Reply in English, personally, in the second person, briefly (up to 150 words), help the person clarify their thoughts and ask clarifying questions. Do not diagnose and do not give medical advice.',
+            context: (qaText) => `My answers to the lesson questions:\n\n${qaText}\n\nAnalyze them.`
+        },
+
+        // Rating and regenerating the analysis
+        feedback: {
+            rateUp: '👍',
+            rateDown: '👎',
+            chooseVariant: '🔁 What should the new analysis be like?',
+            sameVariant: '🔁 Once more',
+            regenerateUnavailable: '⚠️ This analysis can no longer be regenerated: the lesson was started again after it.',
+            thanks: '🙏 Thank you for the rating! If you like, write a comment in one message - what was useful or what was missing.',
+            rated: '🙏 Thank you for the rating!',
+            rateStale: '⌛ This analysis has been replaced by a newer one, so the rating was not saved. Please rate the latest analysis.',
+            skipButton: 'No comment',
+            commentSaved: '✅ Comment saved, thank you!'
+        },
+
+        // AI spending limits (see src/ai/budget.js)
+        budget: {
+            regenerateUnavailable: (until) => `⏳ The AI request limit is used up until ${until}, so a new analysis can't be made right now. The current analysis stays as it is.`,
+            discussUnavailable: (until) => `⏳ The AI request limit is used up until ${until}, so the discussion is unavailable for now. You can continue it after that time.`
         }
     }
 };
@@ -850,13 +464,27 @@ export function getTranslations(lang = 'ru') {
 }
 
 /**
- * Gets configuration for a specific chain (lesson).
+ * Languages offered on /start: those with both UI strings and loaded lessons, in the order above
+ */
+export function getLanguages() {
+    const loaded = lessons.describe();
+    return Object.keys(translations).filter(lang => loaded[lang]);
+}
+
+/**
+ * Lesson (chain) IDs loaded for a language, in ascending order
+ */
+export function getChainIds(lang) {
+    return lessons.describe()[lang] || [];
+}
+
+/**
+ * Gets configuration for a specific chain (lesson) from the lesson files.
  * @param {string} lang - Language code
- * @param {number} chainId - Chain ID (1 or 2)
+ * @param {number} chainId - Chain ID
  */
 export function getChainConfig(lang = 'ru', chainId = 1) {
-    const t = getTranslations(lang);
-    return t.chains[chainId] || t.chains[1];
+    return lessons.get(lang, chainId);
 }
 
 /**
@@ -2,8 +2,20 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import botService from './bot/service.js';
+import { LiveMessage } from './bot/liveMessage.js';
+import { encodeCallback } from './bot/callbackRouter.js';
 import summaryService from './ai/summary.js';
-import { getTranslations, getQuestions, getChainConfig } from './config/translations.js';
+import { BudgetExceededError, checkBudget } from './ai/budget.js';
+import { getTranslations, getQuestions, getChainConfig, getLanguages, getChainIds, translations } from './config/translations.js';
+import { effectiveType, labelAnswer, labelQuestion, resolveOptions } from './config/questionTypes.js';
+import { computePath, projectedTotal } from './config/branching.js';
+import { analyzeRepeats, formatLoopFindings } from './analysis/loops.js';
+import { groupBySection } from './config/sections.js';
+import { createSessionStore } from './storage/sessionStore.js';
+import historyStore from './storage/historyStore.js';
+import jobQueue from './storage/jobQueue.js';
+import feedbackStore from './storage/feedbackStore.js';
+import { answersReceived } from './monitoring/metrics.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -15,16 +27,124 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
 const MAX_ANSWER_LENGTH = 4000;
+const HISTORY_LIST_LIMIT = 30;
+const ANSWER_PREVIEW_LENGTH = 120;
+const REVIEW_CHUNK_LENGTH = 3500;
+const EDIT_BUTTONS_PER_ROW = 5;
+const SCALE_BUTTONS_PER_ROW = 5;
+const OPTION_LABEL_LENGTH = 60;
+const LANGUAGE_BUTTONS_PER_ROW = 3;
+const LESSON_BUTTONS_PER_ROW = 3;
+// Questions per follow-up discussion, unless DISCUSS_MAX_TURNS is set
+const DISCUSS_MAX_TURNS = 10;
+
+/**
+ * Locale used for dates in messages and exports
+ */
+function getLocale(lang) {
+    return lang === 'uk' ? 'uk-UA' : (lang === 'en' ? 'en-US' : 'ru-RU');
+}
+
+/**
+ * When a spending limit is lifted, e.g. "01.11.2026, 00:00"
+ */
+function formatResetTime(lang, resetsAt) {
+    return new Date(resetsAt).toLocaleString(getLocale(lang), { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Whether the session is re-answering an earlier question
+ */
+function isEditing(session) {
+    return session.editIndex !== null && session.editIndex !== undefined;
+}
+
+/**
+ * Index of the question the next answer belongs to
+ */
+function activeIndex(session) {
+    return isEditing(session) ? session.editIndex : session.currentIndex;
+}
+
+/**
+ * Number of questions a user may ask about one analysis
+ */
+function discussTurnLimit() {
+    return Number(process.env.DISCUSS_MAX_TURNS) || DISCUSS_MAX_TURNS;
+}
+
+/**
+ * Split buttons into keyboard rows
+ */
+function toRows(buttons, perRow) {
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += perRow) {
+        rows.push(buttons.slice(i, i + perRow));
+    }
+    return rows;
+}
+
+/**
+ * Shortened answer for previews, stripped of Markdown control characters
+ */
+function previewText(text, max = ANSWER_PREVIEW_LENGTH) {
+    const plain = text.replace(/[*_`\[\]]/g, '').replace(/\s+/g, ' ').trim();
+    return plain.length > max ? plain.slice(0, max - 1) + '…' : plain;
+}
+
+/**
+ * Short mark of one generated analysis, so buttons under it can tell if it was replaced
+ */
+function analysisVersion(summarySource) {
+    return (summarySource?.generatedAt || 0).toString(36);
+}
+
+/**
+ * Answered questions whose options no longer match after an answer changed:
+ * those built from it with `optionsFrom`, and in turn the ones built from them
+ * @param {Array} previousAnswers - Answers before the change
+ * @returns {number[]} Question indexes, sources before the questions built from them
+ */
+function invalidatedChoices(questions, previousAnswers, answers, index) {
+    const current = [...answers];
+    const invalidated = [];
+    const sources = [index];
+    while (sources.length > 0) {
+        const source = sources.shift();
+        questions.forEach((question, i) => {
+            if (question.optionsFrom !== source + 1 || !current[i]) return;
+            const before = resolveOptions(question, previousAnswers);
+            if (before.join('\n') === resolveOptions(question, current).join('\n')) return;
+            current[i] = null;
+            invalidated.push(i);
+            sources.push(i);
+        });
+    }
+    return invalidated;
+}
 
 class QuestionHandler {
     constructor() {
-        // chatId -> { lang, currentIndex, answers: [{question, answer}], lastActivity }
-        this.sessions = new Map();
+        // chatId -> { lang, chain, currentIndex, editIndex, selected, finishedRepeats, summary, analysis, summarySource, summaryVariant, regenerations, reflections, discussing, discussion, feedbackPending, historyId, startedAt, lastActivity,
+        //             answers: [{question, answer, type, value, messageId}] indexed by question index }
+        this.store = createSessionStore();
+
+        // Chats whose analysis is being generated right now
+        this.summaryInProgress = new Set();
 
         // Cleanup stale sessions every 10 minutes
         this.cleanupInterval = setInterval(() => this.cleanupStaleSessions(), 10 * 60 * 1000);
     }
 
+    /**
+     * Load persisted sessions (call on startup)
+     */
+    init() {
+        const count = this.store.load();
+        console.log(`💾 Restored ${count} session(s)`);
+        this.cleanupStaleSessions();
+    }
+
     /**
      * Cleanup resources (call on shutdown)
      */
@@ -33,59 +153,57 @@ class QuestionHandler {
             clearInterval(this.cleanupInterval);
             this.cleanupInterval = null;
         }
-        this.sessions.clear();
+        this.store.close();
+        historyStore.close();
     }
 
-    /**
-     * Escape markdown special characters
-     */
-    escapeMarkdown(text) {
-        if (!text) return '';
-        // Legacy Markdown (V1) supports very few escapes.
-        // It's safer to not escape punctuation like . - ! as it creates literal backslashes.
-        // We will try to preserve bolding by ensuring ** becomes * (if V1 requires * for bold).
-
-        let safe = text;
-
-        // Convert **bold** (AI style) to *bold* (Telegram V1 style)
-        safe = safe.replace(/\*\*(.*?)\*\*/g, '*$1*');
-
-        // Escape specific characters if we want them literal, but for AI text we usually want formatting.
-        // If we strictly want to avoid bugs, we should perhaps just NOT escape . - !
-        // We only escape characters that would break the parsing structure if unpaired.
-        // safe = safe.replace(/([_`\[])/g, '\\$1'); // Minimal escaping
-
-        // Currently, removing the aggressive escaping logic entirely is the safest fix for the user's issue.
-        return safe;
+    getSession(chatId) {
+        return this.store.get(chatId);
     }
 
-    getSession(chatId) {
-        return this.sessions.get(chatId);
+    /**
+     * Persist a session after it has been changed in place
+     */
+    saveSession(chatId) {
+        const session = this.store.get(chatId);
+        if (session) {
+            this.store.set(chatId, session);
+        }
     }
 
     startSession(chatId, lang = 'ru', chain = 1) {
-        this.sessions.set(chatId, {
+        this.store.set(chatId, {
             lang,
             chain,
             currentIndex: 0,
+            editIndex: null,
+            finishedRepeats: [],
             answers: [],
             summary: null,
+            analysis: null,
+            summaryVariant: null,
+            regenerations: 0,
+            reflections: [],
+            discussing: false,
+            discussion: [],
+            feedbackPending: null,
+            startedAt: Date.now(),
             lastActivity: Date.now()
         });
     }
 
     cleanupStaleSessions() {
         const now = Date.now();
-        for (const [chatId, session] of this.sessions) {
+        for (const [chatId, session] of this.store.entries()) {
             if (now - session.lastActivity > SESSION_TIMEOUT_MS) {
-                this.sessions.delete(chatId);
+                this.store.delete(chatId);
                 console.log(`🧹 Cleaned up stale session for chat ${chatId}`);
             }
         }
     }
 
     clearSession(chatId) {
-        this.sessions.delete(chatId);
+        this.store.delete(chatId);
     }
 
     /**
@@ -94,42 +212,46 @@ class QuestionHandler {
     async handleStart(msg) {
         const chatId = msg.chat.id;
 
+        // One button per language that has lessons
+        const buttons = getLanguages().map(lang => ({
+            text: translations[lang].languageName,
+            callback_data: encodeCallback('lang', lang)
+        }));
+
         // Show language selection first
-        await botService.bot.sendMessage(chatId, '🌐 Виберіть мову / Выберите язык:', {
-            reply_markup: {
-                inline_keyboard: [[
-                    { text: '🇷🇺 Русский', callback_data: 'lang_ru' },
-                    { text: '🇺🇦 Українська', callback_data: 'lang_uk' },
-                    { text: '🇬🇧 English', callback_data: 'lang_en' }
-                ]]
-            }
+        await botService.sendMessage(chatId, '🌐 Виберіть мову / Выберите язык:', {
+            reply_markup: { inline_keyboard: toRows(buttons, LANGUAGE_BUTTONS_PER_ROW) }
         });
     }
 
     /**
      * Handle language selection
+     * @returns {boolean} False if the language is no longer offered
      */
     async handleLanguageSelect(chatId, lang) {
+        if (!getLanguages().includes(lang)) return false;
+
         this.startSession(chatId, lang);
         const t = getTranslations(lang);
 
-        // Show lesson selection
-        await botService.bot.sendMessage(chatId, t.ui.chooseAction, {
-            reply_markup: {
-                inline_keyboard: [[
-                    { text: t.ui.lesson1, callback_data: 'start_chain_1' },
-                    { text: t.ui.lesson2, callback_data: 'start_chain_2' },
-                    { text: t.ui.lesson3, callback_data: 'start_chain_3' }
-                ]]
-            }
+        // Show lesson selection: every lesson loaded for the language
+        const buttons = getChainIds(lang).map(chainId => ({
+            text: t.ui.lessonButton(chainId),
+            callback_data: encodeCallback('chain', chainId)
+        }));
+        await botService.sendMessage(chatId, t.ui.chooseAction, {
+            reply_markup: { inline_keyboard: toRows(buttons, LESSON_BUTTONS_PER_ROW) }
         });
     }
 
     /**
      * Handle chain (lesson) selection
+     * @returns {boolean} False if the lesson doesn't exist (any more) in the session's language
      */
     async handleChainSelect(chatId, chainId) {
         let session = this.getSession(chatId);
+        if (!getChainIds(session?.lang || 'ru').includes(chainId)) return false;
+
         if (!session) {
             this.startSession(chatId, 'ru', chainId);
             session = this.getSession(chatId);
@@ -137,8 +259,22 @@ class QuestionHandler {
             // Update chain and reset keys
             session.chain = chainId;
             session.currentIndex = 0;
+            session.editIndex = null;
+            session.finishedRepeats = [];
             session.answers = [];
             session.summary = null;
+            session.analysis = null;
+            session.summarySource = null;
+            session.summaryVariant = null;
+            session.regenerations = 0;
+            session.reflections = [];
+            session.discussing = false;
+            session.discussion = [];
+            session.feedbackPending = null;
+            session.historyId = null;
+            session.startedAt = Date.now();
+            session.lastActivity = Date.now();
+            this.saveSession(chatId);
         }
 
         const config = getChainConfig(session.lang, chainId);
@@ -147,7 +283,7 @@ class QuestionHandler {
         await botService.sendMessage(chatId, config.introMessage);
 
         // Send menu with options to start
-        await botService.bot.sendMessage(chatId, t.ui.chooseAction, {
+        await botService.sendMessage(chatId, t.ui.chooseAction, {
             reply_markup: {
                 inline_keyboard: [[
                     { text: t.ui.startQuestions, callback_data: 'start_questions' }
@@ -165,161 +301,1214 @@ class QuestionHandler {
         await this.sendNextQuestion(chatId);
     }
 
+    /**
+     * Where the user is on their path through the lesson
+     */
+    getPath(session) {
+        const questions = getChainConfig(session.lang, session.chain).questions;
+        return computePath(questions, session.answers, session.finishedRepeats || []);
+    }
+
+    /**
+     * Answers along the path the user actually took, numbered as in the lesson
+     * @returns {Array} [{ question, answer, number, section?, repeat?, ... }]
+     */
+    getTranscript(session) {
+        const { questions, sections } = getChainConfig(session.lang, session.chain);
+        return this.getPath(session).path.map(index => {
+            const entry = { ...session.answers[index], number: index + 1 };
+            if (questions[index].section !== undefined) {
+                entry.section = sections[questions[index].section].title;
+            }
+            const repeat = questions[index].repeat;
+            if (repeat) {
+                entry.repeat = { group: repeat.group, iteration: repeat.iteration, count: repeat.count };
+            }
+            return entry;
+        });
+    }
+
     async sendNextQuestion(chatId) {
         const session = this.getSession(chatId);
         if (!session) return;
 
-        const t = getTranslations(session.lang);
         const config = getChainConfig(session.lang, session.chain);
         const questions = config.questions;
-        const index = session.currentIndex;
 
-        if (index >= questions.length) {
-            // All questions answered - generate summary
-            await this.generateAndSendSummary(chatId);
+        // Follow the branching rules (they may change after edits or a lesson reload)
+        const { current } = this.getPath(session);
+        session.currentIndex = current ?? questions.length;
+        this.saveSession(chatId);
+
+        // Re-ask a question whose answer is being edited
+        if (isEditing(session)) {
+            await this.sendQuestion(chatId, session.editIndex);
             return;
         }
 
-        const questionNumber = index + 1;
-        const totalQuestions = questions.length;
-        const progressText = t.ui.questionProgress(questionNumber, totalQuestions);
+        if (session.currentIndex >= questions.length) {
+            // All questions answered - let the user review before the analysis
+            await this.sendReview(chatId);
+            return;
+        }
 
-        await botService.sendMessage(chatId, progressText + questions[index]);
+        await this.sendQuestion(chatId, session.currentIndex);
     }
 
-    async handleAnswer(chatId, text) {
+    /**
+     * Send a single question with its answer buttons and Back / Edit controls
+     */
+    async sendQuestion(chatId, index) {
         const session = this.getSession(chatId);
-        if (!session) {
-            // Inform user if session is expired/missing (unless it's a command)
-            if (!text.startsWith('/')) {
-                await botService.sendMessage(chatId, '⌛ Сессия истекла. Пожалуйста, введите /start, чтобы начать заново.');
+        const t = getTranslations(session.lang);
+        const { questions, sections } = getChainConfig(session.lang, session.chain);
+        const question = questions[index];
+
+        // Multi-choice selections start empty for every question shown
+        session.selected = [];
+        this.saveSession(chatId);
+
+        // Progress follows the user's path, not the raw question list
+        const { path, onPath } = this.getPath(session);
+        const position = this.getPosition(session, index);
+        let text = '';
+
+        // Announce a section when the question is the first of it on the path
+        const previous = path[position - 2];
+        if (question.section !== undefined && (previous === undefined || questions[previous].section !== question.section)) {
+            text += t.sections.header(sections[question.section].title);
+        }
+
+        text += t.ui.questionProgress(position, projectedTotal(questions, session.answers, session.finishedRepeats || []));
+        if (question.repeat) {
+            text += t.ui.repeatProgress(question.repeat.iteration, question.repeat.count);
+        }
+        text += question.text;
+
+        if (effectiveType(question, onPath) === 'multi-choice') {
+            text += t.ui.multiChoiceHint;
+        }
+
+        const current = session.answers[index];
+        if (current) {
+            text += t.ui.currentAnswer(previewText(current.answer));
+        }
+
+        const keyboard = this.buildQuestionKeyboard(t, session, index);
+        const options = keyboard.length > 0 ? { reply_markup: { inline_keyboard: keyboard } } : {};
+        await botService.sendMessage(chatId, text, options);
+    }
+
+    /**
+     * Answer buttons followed by the Back / Edit / Cancel row
+     */
+    buildQuestionKeyboard(t, session, index) {
+        const keyboard = this.buildAnswerKeyboard(t, session, index);
+        const { path } = this.getPath(session);
+
+        const controls = [];
+        if (path.length > 0 && path[0] !== index) {
+            controls.push({ text: t.ui.backButton, callback_data: 'question_back' });
+        }
+        if (path.length > 0) {
+            controls.push({ text: t.ui.editAnswersButton, callback_data: 'edit_answers' });
+        }
+        if (isEditing(session)) {
+            controls.push({ text: t.ui.cancelEditButton, callback_data: 'cancel_edit' });
+        }
+        if (controls.length > 0) {
+            keyboard.push(controls);
+        }
+
+        return keyboard;
+    }
+
+    /**
+     * Inline keyboard for answering a structured question.
+     * Callback data: answer:<questionIndex>:<kind>[:<value>]
+     */
+    buildAnswerKeyboard(t, session, index) {
+        const question = getChainConfig(session.lang, session.chain).questions[index];
+        const { onPath } = this.getPath(session);
+        const answer = (kind, ...value) => encodeCallback('answer', index, kind, ...value);
+
+        switch (effectiveType(question, onPath)) {
+            case 'single-choice':
+                return resolveOptions(question, onPath).map((option, i) => [
+                    { text: previewText(option, OPTION_LABEL_LENGTH), callback_data: answer('opt', i) }
+                ]);
+            case 'multi-choice': {
+                const selected = session.selected || [];
+                const rows = resolveOptions(question, onPath).map((option, i) => [{
+                    text: `${selected.includes(i) ? '✅' : '▫️'} ${previewText(option, OPTION_LABEL_LENGTH)}`,
+                    callback_data: answer('opt', i)
+                }]);
+                rows.push([{ text: t.ui.doneButton, callback_data: answer('done') }]);
+                return rows;
             }
-            return;
+            case 'scale': {
+                const buttons = [];
+                for (let n = question.min; n <= question.max; n++) {
+                    buttons.push({ text: String(n), callback_data: answer('scale', n) });
+                }
+                return toRows(buttons, SCALE_BUTTONS_PER_ROW);
+            }
+            case 'yesno':
+                return [[
+                    { text: `✅ ${t.ui.yes}`, callback_data: answer('yes') },
+                    { text: `❌ ${t.ui.no}`, callback_data: answer('no') }
+                ]];
+            default: {
+                // Once enough iterations are done the user may leave a repeat block
+                const repeat = question.repeat;
+                if (repeat?.minCount && repeat.iteration > repeat.minCount && !isEditing(session)) {
+                    return [[{ text: t.ui.finishRepeatButton, callback_data: encodeCallback('repeat_done', index) }]];
+                }
+                return [];
+            }
+        }
+    }
+
+    /**
+     * Build rows of "✏️ N" buttons, N being the position on the user's path
+     */
+    buildEditKeyboard(t, count) {
+        const buttons = [];
+        for (let n = 1; n <= count; n++) {
+            buttons.push({ text: t.ui.editAnswerButton(n), callback_data: encodeCallback('edit_answer', n) });
         }
+        return toRows(buttons, EDIT_BUTTONS_PER_ROW);
+    }
+
+    /**
+     * Position of a question on the user's path, as shown in the progress indicator
+     */
+    getPosition(session, index) {
+        const { path } = this.getPath(session);
+        return path.includes(index) ? path.indexOf(index) + 1 : path.length + 1;
+    }
+
+    /**
+     * Show every answer with edit buttons; the AI is only called after confirmation
+     */
+    async sendReview(chatId) {
+        const session = this.getSession(chatId);
+        if (!session) return;
 
         const t = getTranslations(session.lang);
-        const config = getChainConfig(session.lang, session.chain);
-        const questions = config.questions;
+        const transcript = this.getTranscript(session);
 
-        // Update last activity
-        session.lastActivity = Date.now();
+        // Split the list so each message stays under Telegram's length limit
+        const chunks = [];
+        let current = t.ui.reviewTitle + '\n\n';
+        let position = 0;
+        for (const { title, answers } of groupBySection(transcript)) {
+            const lines = answers.map(qa => `*${++position}.* ${previewText(qa.question)}\n— ${previewText(qa.answer)}\n\n`);
+            if (title) lines[0] = t.sections.header(title) + lines[0];
 
-        // Validate input length
-        if (text.length > MAX_ANSWER_LENGTH) {
-            await botService.sendMessage(chatId, t.ui.answerTooLong(MAX_ANSWER_LENGTH));
-            return;
+            for (const line of lines) {
+                if (current.length + line.length > REVIEW_CHUNK_LENGTH) {
+                    chunks.push(current);
+                    current = '';
+                }
+                current += line;
+            }
+        }
+        chunks.push(current + t.ui.reviewHint);
+
+        for (let i = 0; i < chunks.length - 1; i++) {
+            await botService.sendMessage(chatId, chunks[i]);
         }
 
-        // Save the answer
-        session.answers.push({
-            question: questions[session.currentIndex],
-            answer: text.trim()
+        await botService.sendMessage(chatId, chunks[chunks.length - 1], {
+            reply_markup: {
+                inline_keyboard: [
+                    ...this.buildEditKeyboard(t, transcript.length),
+                    [{ text: t.ui.confirmAnswersButton, callback_data: 'confirm_answers' }]
+                ]
+            }
         });
+    }
 
-        // Move to next question
-        session.currentIndex++;
+    /**
+     * Whether the next text message should be stored as an answer
+     */
+    isAwaitingAnswer(chatId) {
+        const session = this.getSession(chatId);
+        if (!session || session.summary) return false;
 
-        // Small delay for natural feel
-        await new Promise(r => setTimeout(r, 500));
+        const questions = getChainConfig(session.lang, session.chain).questions;
+        return isEditing(session) || session.currentIndex < questions.length;
+    }
+
+    /**
+     * Step back to the previous question on the path; answering it returns to where the user stopped
+     */
+    async handleBack(chatId) {
+        const session = this.getSession(chatId);
+        if (!session || session.summary) return false;
+
+        const { path } = this.getPath(session);
+        const position = isEditing(session) ? path.indexOf(session.editIndex) : path.length;
+        if (position <= 0) return false;
+
+        session.editIndex = path[position - 1];
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
 
-        // Send next question or finish
         await this.sendNextQuestion(chatId);
     }
 
-    async generateAndSendSummary(chatId) {
+    /**
+     * Show the list of answers that can be edited
+     */
+    async handleEditAnswers(chatId) {
         const session = this.getSession(chatId);
-        if (!session) return;
+        if (!session || session.summary) return false;
+
+        const { path } = this.getPath(session);
+        if (path.length === 0) return false;
 
         const t = getTranslations(session.lang);
+        await botService.sendMessage(chatId, t.ui.chooseAnswerToEdit, {
+            reply_markup: { inline_keyboard: this.buildEditKeyboard(t, path.length) }
+        });
+    }
 
-        await botService.sendMessage(chatId, t.ui.analyzing);
-        await botService.sendTyping(chatId);
+    /**
+     * Re-ask the N-th answered question so its answer can be replaced
+     */
+    async handleEditAnswer(chatId, answerNumber) {
+        const session = this.getSession(chatId);
+        if (!session || session.summary) return false;
 
-        // Generate AI summary with language
-        const summary = await summaryService.generateSummary(session.answers, session.lang, session.chain);
-        session.summary = summary;
+        const index = this.getPath(session).path[answerNumber - 1];
+        if (index === undefined) return false;
 
-        // Send summary (escape markdown in AI response to avoid formatting errors)
-        const safeSummary = this.escapeMarkdown(summary);
-        const config = getChainConfig(session.lang, session.chain);
+        session.editIndex = index;
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
 
-        await botService.sendMessage(chatId, t.ui.deepAnalysis(safeSummary));
+        await this.sendNextQuestion(chatId);
+    }
 
-        // Send congratulations
-        await botService.sendMessage(chatId, config.congratsMessage);
+    /**
+     * End a repeat block early - its remaining iterations are skipped
+     */
+    async handleFinishRepeat(chatId, index) {
+        const session = this.getSession(chatId);
+        if (!session || session.summary || isEditing(session) || index !== session.currentIndex) return false;
 
-        // Save button
-        await botService.bot.sendMessage(chatId, t.ui.savePrompt, {
-            reply_markup: {
-                inline_keyboard: [[
-                    { text: t.ui.saveButton, callback_data: 'save_results' }
-                ], [
-                    { text: t.ui.restartButton, callback_data: 'restart' }
-                ]]
-            }
-        });
+        const repeat = getChainConfig(session.lang, session.chain).questions[index]?.repeat;
+        if (!repeat?.minCount || repeat.iteration <= repeat.minCount) return false;
+
+        session.finishedRepeats = [...(session.finishedRepeats || []), repeat.group];
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
+
+        await this.sendNextQuestion(chatId);
     }
 
-    async saveResults(chatId, userName = 'user') {
+    async handleCancelEdit(chatId) {
+        const session = this.getSession(chatId);
+        if (!session || session.summary) return false;
+
+        session.editIndex = null;
+        this.saveSession(chatId);
+
+        await this.sendNextQuestion(chatId);
+    }
+
+    /**
+     * Answers confirmed on the review screen - run the analysis
+     */
+    async handleConfirmAnswers(chatId) {
+        const session = this.getSession(chatId);
+        if (!session || session.summary) return false;
+
+        // An edit may have opened a branch with questions still to answer
+        if (this.getPath(session).current !== null) {
+            await this.sendNextQuestion(chatId);
+            return;
+        }
+
+        session.editIndex = null;
+        this.saveSession(chatId);
+
+        await this.generateAndSendSummary(chatId);
+    }
+
+    /**
+     * Handle a typed answer
+     * @param {number} [messageId] - Telegram message the answer came from, used to sync later edits
+     */
+    async handleAnswer(chatId, text, messageId = null) {
         const session = this.getSession(chatId);
         if (!session) {
-            const t = getTranslations('ru');
-            await botService.sendMessage(chatId, t.ui.noDataToSave);
+            // Inform user if session is expired/missing (unless it's a command)
+            if (!text.startsWith('/')) {
+                await botService.sendMessage(chatId, '⌛ Сессия истекла. Пожалуйста, введите /start, чтобы начать заново.');
+            }
             return;
         }
 
         const t = getTranslations(session.lang);
-        const exp = t.export;
+        const questions = getChainConfig(session.lang, session.chain).questions;
 
-        // Create exports directory
-        const exportsDir = path.join(__dirname, '..', 'exports');
-        if (!fs.existsSync(exportsDir)) {
-            fs.mkdirSync(exportsDir, { recursive: true });
+        // Update last activity
+        session.lastActivity = Date.now();
+
+        // Structured questions are answered with the buttons
+        if (effectiveType(questions[activeIndex(session)], this.getPath(session).onPath) !== 'text') {
+            this.saveSession(chatId);
+            await botService.sendMessage(chatId, t.ui.useButtonsHint);
+            return;
         }
 
-        // Generate file content
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const fileName = `results_${chatId}_${timestamp}.txt`;
-        const filePath = path.join(exportsDir, fileName);
+        // Validate input length
+        if (text.length > MAX_ANSWER_LENGTH) {
+            this.saveSession(chatId);
+            await botService.sendMessage(chatId, t.ui.answerTooLong(MAX_ANSWER_LENGTH));
+            return;
+        }
 
-        const locale = session.lang === 'uk' ? 'uk-UA' : (session.lang === 'en' ? 'en-US' : 'ru-RU');
+        await this.recordAnswer(chatId, { answer: text.trim(), type: 'text', messageId });
+    }
 
-        let content = `═══════════════════════════════════════════\n`;
-        content += `          ${exp.header}\n`;
-        content += `═══════════════════════════════════════════\n\n`;
-        content += `${exp.date} ${new Date().toLocaleDateString(locale)}\n`;
-        content += `${exp.time} ${new Date().toLocaleTimeString(locale)}\n\n`;
-        content += `───────────────────────────────────────────\n`;
-        content += `                 ${exp.answers}\n`;
-        content += `───────────────────────────────────────────\n\n`;
+    /**
+     * Handle an answer given with an inline keyboard button
+     * @param {string[]} params - Callback parameters: [questionIndex, kind, value?]
+     * @param {Object} message - Message the keyboard belongs to
+     * @returns {boolean} False if the button doesn't belong to the active question
+     */
+    async handleButtonAnswer(chatId, params, message) {
+        const session = this.getSession(chatId);
+        if (!session || session.summary) return false;
 
-        session.answers.forEach((qa, i) => {
-            content += `${exp.questionLabel(i + 1)}\n${qa.question}\n\n`;
-            content += `${exp.answerLabel}\n${qa.answer}\n\n`;
-            content += `───────────────────────────────────────────\n\n`;
-        });
+        const [indexPart, kind, valuePart] = params;
+        const index = Number(indexPart);
 
-        content += `\n═══════════════════════════════════════════\n`;
-        content += `              ${exp.analysisHeader}\n`;
-        content += `═══════════════════════════════════════════\n\n`;
-        content += session.summary || exp.analysisUnavailable;
-        content += `\n\n═══════════════════════════════════════════\n`;
-        content += `    ${exp.congratsFooter}\n`;
-        content += `═══════════════════════════════════════════\n`;
+        // Buttons of questions that are no longer active
+        if (index !== activeIndex(session)) return false;
 
-        // Write file
-        fs.writeFileSync(filePath, content, 'utf8');
+        const t = getTranslations(session.lang);
+        const question = getChainConfig(session.lang, session.chain).questions[index];
+        const { onPath } = this.getPath(session);
+        const type = effectiveType(question, onPath);
+        const options = resolveOptions(question, onPath);
+        session.lastActivity = Date.now();
 
-        // Send document
-        await botService.sendDocument(chatId, filePath, t.ui.resultsCaption);
+        if (type === 'single-choice' && kind === 'opt') {
+            const option = options[Number(valuePart)];
+            if (option === undefined) return false;
+            await this.recordAnswer(chatId, { answer: option, type, value: option });
+            return;
+        }
 
-        // Delete file after sending to avoid disk bloat
+        if (type === 'multi-choice' && kind === 'opt') {
+            const optionIndex = Number(valuePart);
+            if (options[optionIndex] === undefined) return false;
+
+            const selected = session.selected || [];
+            session.selected = selected.includes(optionIndex)
+                ? selected.filter(i => i !== optionIndex)
+                : [...selected, optionIndex];
+            this.saveSession(chatId);
+
+            // Redraw the checkmarks in place
+            await botService.editReplyMarkup(chatId, message?.message_id, {
+                inline_keyboard: this.buildQuestionKeyboard(t, session, index)
+            });
+            return;
+        }
+
+        if (type === 'multi-choice' && kind === 'done') {
+            const selected = [...(session.selected || [])].sort((a, b) => a - b);
+            if (selected.length === 0) {
+                await botService.sendMessage(chatId, t.ui.selectAtLeastOne);
+                return;
+            }
+            const values = selected.map(i => options[i]);
+            await this.recordAnswer(chatId, { answer: values.join('; '), type, value: values });
+            return;
+        }
+
+        if (type === 'scale' && kind === 'scale') {
+            const value = Number(valuePart);
+            if (!(value >= question.min && value <= question.max)) return false;
+            await this.recordAnswer(chatId, { answer: String(value), type, value, min: question.min, max: question.max });
+            return;
+        }
+
+        if (type === 'yesno' && (kind === 'yes' || kind === 'no')) {
+            await this.recordAnswer(chatId, { answer: t.ui[kind], type, value: kind === 'yes' });
+            return;
+        }
+
+        // The question's type changed since the button was sent (e.g. after /reload_lessons)
+        return false;
+    }
+
+    /**
+     * Store (or replace) the answer to the active question and move on
+     * @param {Object} entry - { answer, type, value?, min?, max?, messageId? }
+     */
+    async recordAnswer(chatId, entry) {
+        const session = this.getSession(chatId);
+        const t = getTranslations(session.lang);
+        const questions = getChainConfig(session.lang, session.chain).questions;
+
+        const wasEditing = isEditing(session);
+        const index = activeIndex(session);
+        answersReceived.inc({ type: entry.type || 'text' });
+
+        session.answers[index] = {
+            question: questions[index].text,
+            ...entry
+        };
+
+        // Continue from the next unanswered question on the path
+        session.editIndex = null;
+        session.selected = [];
+        session.currentIndex = this.getPath(session).current ?? questions.length;
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
+
+        if (wasEditing) {
+            await botService.sendMessage(chatId, t.ui.answerUpdated(this.getPosition(session, index)));
+        }
+
+        // Small delay for natural feel
+        await new Promise(r => setTimeout(r, 500));
+
+        // Send next question or the review screen
+        await this.sendNextQuestion(chatId);
+    }
+
+    /**
+     * Run the analysis of the session's answers; a second call while one runs for the chat is ignored
+     * @returns {boolean} False if there is no session or an analysis is already running
+     */
+    async generateAndSendSummary(chatId) {
+        if (!this.getSession(chatId) || this.summaryInProgress.has(chatId)) return false;
+
+        this.summaryInProgress.add(chatId);
+        try {
+            await this.sendSummary(chatId);
+        } finally {
+            this.summaryInProgress.delete(chatId);
+        }
+    }
+
+    isGeneratingSummary(chatId) {
+        return this.summaryInProgress.has(chatId);
+    }
+
+    async sendSummary(chatId) {
+        const session = this.getSession(chatId);
+
+        const t = getTranslations(session.lang);
+
+        // The "analyzing" message turns into the analysis as it streams in
+        const live = new LiveMessage(chatId);
+        await live.start(t.ui.analyzing);
+        await botService.sendTyping(chatId);
+
+        // Generate AI summary with language (and the regeneration variant the user picked)
+        const transcript = this.getTranscript(session);
+        const { text: summary, analysis, provider, model, promptVersion, promptHash, variant } = await summaryService.generateSummary(
+            transcript, session.lang, session.chain,
+            (partial) => live.update(t.ui.deepAnalysis(partial)),
+            { variantId: session.summaryVariant, userId: chatId, kind: session.regenerations > 0 ? 'regeneration' : 'summary' }
+        );
+
+        session.summary = summary;
+        session.analysis = analysis;
+        session.summarySource = { provider, model, promptVersion, promptHash, variant, generatedAt: Date.now() };
+        session.reflections = [];
+        // A new analysis starts a new discussion
+        session.discussing = false;
+        session.discussion = [];
+
+        // Archive the completed run (in private chats the chat ID is the user ID).
+        // A regenerated analysis replaces the archived one instead of adding a new run.
+        this.archiveSession(chatId, session, transcript);
+
+        // Rating and regenerating refer to the archived run; the fallback text has neither
+        await live.finish(
+            this.getAnalysisMessages(t, summary, analysis),
+            provider !== null ? this.buildAnalysisKeyboard(t, session.historyId, session.summarySource, true) : null
+        );
+
+        // The fallback text promises a later analysis - queue it for the worker (it waits for the budget too)
+        if (provider === null) {
+            jobQueue.enqueue('summary', { chatId, historyId: session.historyId });
+        } else {
+            jobQueue.remove('summary', chatId, session.historyId);
+        }
+
+        // The fallback run gets its reflections with the deferred analysis
+        if (provider !== null) {
+            session.reflections = await summaryService.generateSectionReflections(transcript, session.lang, session.chain, chatId);
+            if (session.reflections.length > 0) {
+                this.archiveSession(chatId, session, transcript);
+            }
+        }
+
+        const config = getChainConfig(session.lang, session.chain);
+        await this.sendReflections(chatId, t, session.reflections);
+
+        // Send congratulations
+        await botService.sendMessage(chatId, config.congratsMessage);
+
+        // Save button; there is nothing to discuss in the fallback text
+        await botService.sendMessage(chatId, t.ui.savePrompt, {
+            reply_markup: this.buildFinishKeyboard(t, 'save_results', provider !== null)
+        });
+    }
+
+    /**
+     * Store the session's run in the history, replacing its earlier archived version
+     */
+    archiveSession(chatId, session, transcript) {
+        const record = { ...session, answers: transcript };
+        if (!session.historyId || !historyStore.update(chatId, session.historyId, record)) {
+            session.historyId = historyStore.add(chatId, record).id;
+        }
+        this.saveSession(chatId);
+    }
+
+    /**
+     * Buttons under the analysis itself: rate it and ask for another one
+     * @param {Object} summarySource - Source of the analysis shown; the rating buttons only count for it
+     * @param {boolean} canRegenerate - Only the run the session is on can be regenerated
+     */
+    buildAnalysisKeyboard(t, historyId, summarySource, canRegenerate) {
+        const version = analysisVersion(summarySource);
+        const rows = [[
+            { text: t.feedback.rateUp, callback_data: encodeCallback('rate', 'up', historyId, version) },
+            { text: t.feedback.rateDown, callback_data: encodeCallback('rate', 'down', historyId, version) }
+        ]];
+        if (canRegenerate) {
+            rows.push([{ text: t.ui.regenerateButton, callback_data: encodeCallback('regenerate_menu', historyId) }]);
+        }
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Buttons under the finished analysis: save, discuss and restart
+     * @param {string} saveCallback - callback_data of the save button
+     */
+    buildFinishKeyboard(t, saveCallback, canDiscuss) {
+        const rows = [[{ text: t.ui.saveButton, callback_data: saveCallback }]];
+        if (canDiscuss) {
+            rows.push([{ text: t.discuss.button, callback_data: 'discuss_start' }]);
+        }
+        rows.push([{ text: t.ui.restartButton, callback_data: 'restart' }]);
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Analyse an archived run whose analysis failed and push the result to the user.
+     * Throws if the AI is still unavailable or the user is over budget, so the worker can retry later.
+     * @returns {boolean} False if the run no longer exists
+     */
+    async deliverDeferredSummary(chatId, historyId) {
+        const entry = historyStore.get(chatId, historyId);
+        if (!entry) return false;
+
+        const { text: summary, analysis, provider, model, promptVersion, promptHash, variant } = await summaryService.analyze(
+            entry.answers, entry.lang, entry.chain, null, { userId: chatId, kind: 'deferred' }
+        );
+        const summarySource = { provider, model, promptVersion, promptHash, variant, generatedAt: Date.now() };
+        // Only the analysis changes; the discussion and the regeneration count stay with the run
+        historyStore.update(chatId, historyId, { ...entry, summary, analysis, summarySource, reflections: [] });
+
+        // Keep the live session in sync if the user is still on this run
+        const session = this.getSession(chatId);
+        if (session?.historyId === historyId) {
+            Object.assign(session, { summary, analysis, summarySource, reflections: [] });
+            this.saveSession(chatId);
+        }
+
+        const t = getTranslations(entry.lang);
+        const config = getChainConfig(entry.lang, entry.chain);
+
+        await botService.sendMessage(chatId, t.ui.deferredAnalysisReady);
+        await this.sendAnalysis(chatId, t, summary, analysis, this.buildAnalysisKeyboard(t, historyId, summarySource, session?.historyId === historyId));
+
+        // The analysis is stored and delivered; reflections only add to it, so their failure
+        // must not fail the job and make the worker pay for the analysis again
+        let reflections = [];
+        try {
+            reflections = await summaryService.generateSectionReflections(entry.answers, entry.lang, entry.chain, chatId);
+            if (reflections.length > 0) {
+                historyStore.update(chatId, historyId, { ...entry, summary, analysis, summarySource, reflections });
+                if (session?.historyId === historyId) {
+                    session.reflections = reflections;
+                    this.saveSession(chatId);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Reflections for the deferred analysis ${historyId} failed:`, error.message);
+        }
+        await this.sendReflections(chatId, t, reflections);
+        await botService.sendMessage(chatId, config.congratsMessage);
+
+        // The session may have moved on, so the file is built from the archived run;
+        // the discussion needs the session to still be on it
+        await botService.sendMessage(chatId, t.ui.savePrompt, {
+            reply_markup: this.buildFinishKeyboard(t, encodeCallback('history_export', historyId), session?.historyId === historyId)
+        });
+        return true;
+    }
+
+    /**
+     * Messages that show an analysis: one per section of a structured analysis,
+     * the first under the analysis heading
+     * @param {Array|null} analysis - [{ title, text }] or null for free text
+     * @returns {string[]}
+     */
+    getAnalysisMessages(t, summary, analysis) {
+        if (!analysis || analysis.length === 0) {
+            return [t.ui.deepAnalysis(summary)];
+        }
+        return analysis.map(({ title, text }, i) => {
+            const section = t.analysis.section(title, text);
+            return i === 0 ? t.ui.deepAnalysis(section) : section;
+        });
+    }
+
+    /**
+     * @param {Object} [replyMarkup] - Buttons under the last message
+     */
+    async sendAnalysis(chatId, t, summary, analysis, replyMarkup = null) {
+        const messages = this.getAnalysisMessages(t, summary, analysis);
+        for (let i = 0; i < messages.length; i++) {
+            const options = replyMarkup && i === messages.length - 1 ? { reply_markup: replyMarkup } : {};
+            await botService.sendMessage(chatId, messages[i], options);
+        }
+    }
+
+    /**
+     * Send the per-section reflections, if the lesson asks for any
+     */
+    async sendReflections(chatId, t, reflections = []) {
+        if (reflections.length === 0) return;
+
+        const text = reflections
+            .map(({ title, text }) => t.sections.reflection(title, text))
+            .join('\n\n');
+        await botService.sendMessage(chatId, `${t.sections.reflectionsTitle}\n\n${text}`);
+    }
+
+    /**
+     * Handle an edited Telegram message - update the answer it was sent as
+     */
+    async handleEditedMessage(msg) {
+        const chatId = msg.chat.id;
+        const session = this.getSession(chatId);
+        if (!session || !msg.text) return;
+
+        const index = session.answers.findIndex(qa => qa?.messageId === msg.message_id);
+        if (index === -1) return;
+
+        const t = getTranslations(session.lang);
+        session.lastActivity = Date.now();
+
+        if (msg.text.length > MAX_ANSWER_LENGTH) {
+            this.saveSession(chatId);
+            await botService.sendMessage(chatId, t.ui.answerTooLong(MAX_ANSWER_LENGTH));
+            return;
+        }
+
+        const questions = getChainConfig(session.lang, session.chain).questions;
+        const previousAnswers = [...session.answers];
+        session.answers[index] = { ...session.answers[index], answer: msg.text.trim() };
+
+        // Choices picked among options built from the old text have to be made again
+        const invalidated = invalidatedChoices(questions, previousAnswers, session.answers, index);
+        if (invalidated.length > 0) {
+            for (const i of invalidated) session.answers[i] = null;
+
+            if (session.summary) {
+                // Back to the questions; the archived run is replaced once it is analysed again
+                jobQueue.remove('summary', chatId, session.historyId);
+                Object.assign(session, { summary: null, analysis: null, discussing: false, feedbackPending: null });
+            }
+            this.saveSession(chatId);
+
+            await botService.sendMessage(chatId, t.ui.answerSyncedReask(this.getPosition(session, index)));
+            await this.sendNextQuestion(chatId);
+            return;
+        }
+
+        this.saveSession(chatId);
+
+        if (session.summary) {
+            // The archived run shows what the user answered, even before the analysis is redone
+            historyStore.setAnswers(chatId, session.historyId, this.getTranscript(session));
+            // The analysis is based on the old text - offer to redo it
+            await botService.sendMessage(chatId, t.ui.answerSyncedRegenerate(this.getPosition(session, index)), {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: t.ui.regenerateButton, callback_data: 'regenerate_summary' }
+                    ]]
+                }
+            });
+        } else {
+            await botService.sendMessage(chatId, t.ui.answerUpdated(this.getPosition(session, index)));
+        }
+    }
+
+    /**
+     * Generate the analysis again from the current answers
+     * @param {string|null} variantId - Regeneration variant from the lesson's `ai.variants`
+     */
+    async handleRegenerateSummary(chatId, variantId = null) {
+        const session = this.getSession(chatId);
+        if (!session || !session.summary) return false;
+
+        // Over budget the new analysis would be the fallback text - keep the current one instead
+        const exceeded = checkBudget(chatId);
+        if (exceeded) {
+            const t = getTranslations(session.lang);
+            await botService.sendMessage(chatId, t.budget.regenerateUnavailable(formatResetTime(session.lang, exceeded.resetsAt)));
+            return;
+        }
+
+        session.summary = null;
+        session.analysis = null;
+        session.summaryVariant = variantId;
+        session.regenerations = (session.regenerations || 0) + 1;
+        session.feedbackPending = null;
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
+
+        await this.generateAndSendSummary(chatId);
+    }
+
+    /**
+     * Offer the lesson's regeneration variants ("softer", "more direct"), or regenerate right away without them
+     */
+    async handleRegenerateMenu(chatId, historyId) {
+        const session = this.getSession(chatId);
+        const t = getTranslations(session?.lang);
+        if (!session || !session.summary || session.historyId !== historyId) {
+            await botService.sendMessage(chatId, t.feedback.regenerateUnavailable);
+            return;
+        }
+
+        const { variants } = getChainConfig(session.lang, session.chain).ai;
+        if (variants.length === 0) {
+            await this.handleRegenerateSummary(chatId);
+            return;
+        }
+
+        const buttons = variants.map(variant => ({ text: variant.label, callback_data: encodeCallback('regenerate_with', historyId, variant.id) }));
+        buttons.push({ text: t.feedback.sameVariant, callback_data: encodeCallback('regenerate_with', historyId) });
+        await botService.sendMessage(chatId, t.feedback.chooseVariant, {
+            reply_markup: { inline_keyboard: toRows(buttons, 2) }
+        });
+    }
+
+    /**
+     * Regenerate from the variant menu; the menu may be older than the current run
+     */
+    async handleRegenerateWith(chatId, historyId, variantId) {
+        const session = this.getSession(chatId);
+        if (!session || !session.summary || session.historyId !== historyId) {
+            const t = getTranslations(session?.lang);
+            await botService.sendMessage(chatId, t.feedback.regenerateUnavailable);
+            return;
+        }
+        await this.handleRegenerateSummary(chatId, variantId);
+    }
+
+    /**
+     * Store a 👍/👎 rating of an archived analysis and offer to add a comment
+     * @param {'up'|'down'} rating
+     */
+    async handleRate(chatId, historyId, rating, version) {
+        const session = this.getSession(chatId);
+        const entry = historyStore.get(chatId, historyId);
+        if (!entry || !entry.summarySource?.provider) {
+            const t = getTranslations(session?.lang);
+            await botService.sendMessage(chatId, t.ui.historyNotFound);
+            return;
+        }
+
+        const t = getTranslations(entry.lang);
+
+        // The button belongs to an analysis that a regeneration has replaced since
+        if (version !== analysisVersion(entry.summarySource)) {
+            await botService.sendMessage(chatId, t.feedback.rateStale);
+            return;
+        }
+        const feedback = feedbackStore.rate(chatId, { historyId, chain: entry.chain, lang: entry.lang }, entry.summarySource, rating);
+        console.log(`📝 Analysis rated ${rating} (chain ${entry.chain}, ${entry.summarySource.model}, prompt ${entry.summarySource.promptVersion})`);
+
+        // The comment is the next text message, so it needs a session to wait in
+        if (!session) {
+            await botService.sendMessage(chatId, t.feedback.rated);
+            return;
+        }
+
+        session.feedbackPending = feedback.id;
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
+
+        await botService.sendMessage(chatId, t.feedback.thanks, {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: t.feedback.skipButton, callback_data: 'feedback_skip' }
+                ]]
+            }
+        });
+    }
+
+    /**
+     * Whether the next text message is a comment to a rating
+     */
+    isAwaitingFeedback(chatId) {
+        return Boolean(this.getSession(chatId)?.feedbackPending);
+    }
+
+    async handleFeedbackComment(chatId, text) {
+        const session = this.getSession(chatId);
+        if (!session || !session.feedbackPending) return;
+
+        const t = getTranslations(session.lang);
+        session.lastActivity = Date.now();
+
+        if (text.length > MAX_ANSWER_LENGTH) {
+            this.saveSession(chatId);
+            await botService.sendMessage(chatId, t.ui.answerTooLong(MAX_ANSWER_LENGTH));
+            return;
+        }
+
+        feedbackStore.setComment(session.feedbackPending, text.trim());
+        session.feedbackPending = null;
+        this.saveSession(chatId);
+
+        await botService.sendMessage(chatId, t.feedback.commentSaved);
+    }
+
+    /**
+     * Rate without a comment - drop the "no comment" button
+     */
+    async handleFeedbackSkip(chatId, message) {
+        const session = this.getSession(chatId);
+        if (session?.feedbackPending) {
+            session.feedbackPending = null;
+            this.saveSession(chatId);
+        }
+        if (message) {
+            await botService.editReplyMarkup(chatId, message.message_id, { inline_keyboard: [] });
+        }
+    }
+
+    /**
+     * Whether the next text message is a question in the follow-up discussion
+     */
+    isDiscussing(chatId) {
+        return Boolean(this.getSession(chatId)?.discussing);
+    }
+
+    /**
+     * Start talking with the AI about the finished analysis
+     */
+    async handleDiscussStart(chatId) {
+        const session = this.getSession(chatId);
+        if (!session || !session.summary || !session.summarySource?.provider) return false;
+
+        const t = getTranslations(session.lang);
+        const turnsLeft = discussTurnLimit() - this.countDiscussTurns(session);
+        if (turnsLeft <= 0) {
+            await botService.sendMessage(chatId, t.discuss.limitReached);
+            return;
+        }
+
+        session.discussing = true;
+        session.feedbackPending = null;
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
+
+        await botService.sendMessage(chatId, t.discuss.intro(turnsLeft), {
+            reply_markup: this.buildDiscussKeyboard(t)
+        });
+    }
+
+    /**
+     * Answer a question in the follow-up discussion
+     */
+    async handleDiscussMessage(chatId, text) {
+        const session = this.getSession(chatId);
+        if (!session || !session.discussing) return;
+
+        const t = getTranslations(session.lang);
+        session.lastActivity = Date.now();
+
+        if (text.length > MAX_ANSWER_LENGTH) {
+            this.saveSession(chatId);
+            await botService.sendMessage(chatId, t.discuss.tooLong(MAX_ANSWER_LENGTH));
+            return;
+        }
+
+        await botService.sendTyping(chatId);
+
+        let reply;
+        try {
+            reply = await summaryService.discuss(
+                this.getTranscript(session), session.summary, session.discussion, text.trim(), session.lang, session.chain, chatId
+            );
+        } catch (error) {
+            if (error instanceof BudgetExceededError) {
+                console.log(`⏳ Discussion of chat ${chatId} stopped: ${error.message}`);
+                await botService.sendMessage(chatId, t.budget.discussUnavailable(formatResetTime(session.lang, error.exceeded.resetsAt)), {
+                    reply_markup: this.buildDiscussKeyboard(t)
+                });
+                return;
+            }
+            console.error('❌ Discussion reply failed:', error.message);
+            await botService.sendMessage(chatId, t.discuss.unavailable, {
+                reply_markup: this.buildDiscussKeyboard(t)
+            });
+            return;
+        }
+
+        session.discussion.push(
+            { role: 'user', content: text.trim(), at: Date.now() },
+            { role: 'assistant', content: reply, at: Date.now() }
+        );
+        this.saveSession(chatId);
+        if (session.historyId) {
+            historyStore.setDiscussion(chatId, session.historyId, session.discussion);
+        }
+
+        const turnsLeft = discussTurnLimit() - this.countDiscussTurns(session);
+        if (turnsLeft > 0) {
+            const footer = turnsLeft <= 2 ? `\n\n${t.discuss.turnsLeft(turnsLeft)}` : '';
+            await botService.sendMessage(chatId, reply + footer, {
+                reply_markup: this.buildDiscussKeyboard(t)
+            });
+            return;
+        }
+
+        await botService.sendMessage(chatId, reply);
+        session.discussing = false;
+        this.saveSession(chatId);
+        await botService.sendMessage(chatId, t.discuss.limitReached, {
+            reply_markup: this.buildFinishKeyboard(t, 'save_results', false)
+        });
+    }
+
+    /**
+     * Leave the follow-up discussion; it can be resumed while questions are left
+     */
+    async handleDiscussEnd(chatId) {
+        const session = this.getSession(chatId);
+        if (!session || !session.discussing) return false;
+
+        session.discussing = false;
+        session.lastActivity = Date.now();
+        this.saveSession(chatId);
+
+        const t = getTranslations(session.lang);
+        const canDiscuss = this.countDiscussTurns(session) < discussTurnLimit();
+        await botService.sendMessage(chatId, t.discuss.ended, {
+            reply_markup: this.buildFinishKeyboard(t, 'save_results', canDiscuss)
+        });
+    }
+
+    countDiscussTurns(session) {
+        return (session.discussion || []).filter(turn => turn.role === 'user').length;
+    }
+
+    buildDiscussKeyboard(t) {
+        return { inline_keyboard: [[{ text: t.discuss.exitButton, callback_data: 'discuss_end' }]] };
+    }
+
+    async saveResults(chatId, userName = 'user') {
+        const session = this.getSession(chatId);
+        if (!session) {
+            const t = getTranslations('ru');
+            await botService.sendMessage(chatId, t.ui.noDataToSave);
+            return;
+        }
+
+        const t = getTranslations(session.lang);
+        await this.sendExport(chatId, { ...session, answers: this.getTranscript(session) });
+        await botService.sendMessage(chatId, t.ui.resultsSaved);
+    }
+
+    /**
+     * Build the .txt export for a session or history entry
+     * @param {Object} record - { lang, answers: [{ question, answer, number, section? }], summary, analysis?, reflections?,
+     *   discussion?, completedAt? }
+     */
+    buildExportContent(record) {
+        const exp = getTranslations(record.lang).export;
+        const locale = getLocale(record.lang);
+        const date = new Date(record.completedAt || Date.now());
+
+        let content = `═══════════════════════════════════════════\n`;
+        content += `          ${exp.header}\n`;
+        content += `═══════════════════════════════════════════\n\n`;
+        content += `${exp.date} ${date.toLocaleDateString(locale)}\n`;
+        content += `${exp.time} ${date.toLocaleTimeString(locale)}\n\n`;
+        content += `───────────────────────────────────────────\n`;
+        content += `                 ${exp.answers}\n`;
+        content += `───────────────────────────────────────────\n\n`;
+
+        const { answerTypes, repeat, loops, sections } = getTranslations(record.lang);
+        let number = 0;
+        for (const { title, answers } of groupBySection(record.answers)) {
+            if (title) {
+                content += `▌ ${title.toUpperCase()}\n\n`;
+            }
+            for (const qa of answers) {
+                number++;
+                content += `${labelQuestion(exp.questionLabel(qa.number ?? number), repeat, qa)}\n${qa.question}\n\n`;
+                content += `${labelAnswer(exp.answerLabel, answerTypes, qa)}\n${qa.answer}\n\n`;
+                content += `───────────────────────────────────────────\n\n`;
+            }
+        }
+
+        const loopFindings = formatLoopFindings(loops, analyzeRepeats(record.answers));
+        if (loopFindings.length > 0) {
+            content += `              ${loops.header}\n`;
+            content += `───────────────────────────────────────────\n\n`;
+            content += loopFindings.join('\n\n') + '\n\n';
+        }
+
+        if (record.reflections?.length > 0) {
+            content += `\n═══════════════════════════════════════════\n`;
+            content += `              ${sections.reflectionsHeader}\n`;
+            content += `═══════════════════════════════════════════\n\n`;
+            content += record.reflections.map(({ title, text }) => `${title}\n\n${text}`).join('\n\n') + '\n';
+        }
+
+        content += `\n═══════════════════════════════════════════\n`;
+        content += `              ${exp.analysisHeader}\n`;
+        content += `═══════════════════════════════════════════\n\n`;
+        if (record.analysis?.length > 0) {
+            content += record.analysis.map(({ title, text }) => `${title.toUpperCase()}\n\n${text}`).join('\n\n');
+        } else {
+            content += record.summary || exp.analysisUnavailable;
+        }
+
+        if (record.discussion?.length > 0) {
+            content += `\n\n═══════════════════════════════════════════\n`;
+            content += `              ${exp.discussionHeader}\n`;
+            content += `═══════════════════════════════════════════\n\n`;
+            content += record.discussion
+                .map(({ role, content: text }) => `${role === 'user' ? exp.discussionUser : exp.discussionAssistant}\n${text}`)
+                .join('\n\n');
+        }
+        content += `\n\n═══════════════════════════════════════════\n`;
+        content += `    ${exp.congratsFooter}\n`;
+        content += `═══════════════════════════════════════════\n`;
+
+        return content;
+    }
+
+    /**
+     * Write the export to a temporary file and send it as a document
+     */
+    async sendExport(chatId, record) {
+        const t = getTranslations(record.lang);
+
+        // Create exports directory
+        const exportsDir = path.join(__dirname, '..', 'exports');
+        if (!fs.existsSync(exportsDir)) {
+            fs.mkdirSync(exportsDir, { recursive: true });
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const fileName = `results_${chatId}_${timestamp}.txt`;
+        const filePath = path.join(exportsDir, fileName);
+
+        // Write file
+        fs.writeFileSync(filePath, this.buildExportContent(record), 'utf8');
+
+        // Send document
+        await botService.sendDocument(chatId, filePath, t.ui.resultsCaption);
+
+        // Delete file after sending to avoid disk bloat
         try {
             fs.unlinkSync(filePath);
         } catch (err) {
             console.error('Failed to delete export file:', err.message);
         }
-        await botService.sendMessage(chatId, t.ui.resultsSaved);
+    }
+
+    /**
+     * Handle /history command - list completed lessons with resend buttons
+     */
+    async handleHistory(msg) {
+        const chatId = msg.chat.id;
+        const entries = historyStore.list(chatId);
+        const lang = this.getSession(chatId)?.lang || entries[entries.length - 1]?.lang || 'ru';
+        const t = getTranslations(lang);
+
+        if (entries.length === 0) {
+            await botService.sendMessage(chatId, t.ui.historyEmpty);
+            return;
+        }
+
+        // Most recent runs, grouped by lesson and ordered by date
+        const recent = entries
+            .slice(-HISTORY_LIST_LIMIT)
+            .sort((a, b) => (a.chain - b.chain) || (a.completedAt - b.completedAt));
+
+        const locale = getLocale(lang);
+        const keyboard = recent.map(entry => {
+            const lesson = t.ui.lessonButton(entry.chain);
+            const date = new Date(entry.completedAt).toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+            return [
+                { text: `${t.ui.historySummaryButton} · ${t.ui.historyEntry(lesson, date)}`, callback_data: encodeCallback('history_summary', entry.id) },
+                { text: t.ui.historyExportButton, callback_data: encodeCallback('history_export', entry.id) }
+            ];
+        });
+
+        await botService.sendMessage(chatId, t.ui.historyTitle, {
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    }
+
+    /**
+     * Resend the analysis of an archived run
+     */
+    async handleHistorySummary(chatId, entryId) {
+        const entry = historyStore.get(chatId, entryId);
+        if (!entry) {
+            const t = getTranslations(this.getSession(chatId)?.lang);
+            await botService.sendMessage(chatId, t.ui.historyNotFound);
+            return;
+        }
+
+        const t = getTranslations(entry.lang);
+        const config = getChainConfig(entry.lang, entry.chain);
+        const keyboard = entry.summarySource?.provider
+            ? this.buildAnalysisKeyboard(t, entry.id, entry.summarySource, this.getSession(chatId)?.historyId === entry.id)
+            : null;
+        await this.sendAnalysis(chatId, t, entry.summary || config.ai.fallback, entry.analysis, keyboard);
+        await this.sendReflections(chatId, t, entry.reflections);
+    }
+
+    /**
+     * Resend the .txt export of an archived run
+     */
+    async handleHistoryExport(chatId, entryId) {
+        const entry = historyStore.get(chatId, entryId);
+        if (!entry) {
+            const t = getTranslations(this.getSession(chatId)?.lang);
+            await botService.sendMessage(chatId, t.ui.historyNotFound);
+            return;
+        }
+
+        await this.sendExport(chatId, entry);
     }
 
     async handleRestart(chatId) {
@@ -327,6 +1516,22 @@ class QuestionHandler {
         await this.handleStart({ chat: { id: chatId } });
     }
 
+    /**
+     * Notice for a button pressed while the chat's previous action is still running
+     */
+    getBusyNotice(chatId) {
+        const t = getTranslations(this.getSession(chatId)?.lang);
+        return this.isGeneratingSummary(chatId) ? t.ui.analysisInProgress : t.ui.busy;
+    }
+
+    /**
+     * A button that no longer applies (or an unknown one) was pressed
+     */
+    async handleStaleCallback(chatId) {
+        const t = getTranslations(this.getSession(chatId)?.lang);
+        await botService.sendMessage(chatId, t.ui.staleButton);
+    }
+
     /**
      * Get questions for current session language
      */
@@ -0,0 +1,77 @@
+import httpServer from './server.js';
+import botService from '../bot/service.js';
+import chatQueue from '../bot/chatQueue.js';
+import questionHandler from '../handler.js';
+import jobQueue from '../storage/jobQueue.js';
+import { checkDataDir } from '../storage/jsonFile.js';
+import metrics from '../monitoring/metrics.js';
+
+/**
+ * Health Endpoints
+ *   GET /healthz  - liveness: the process is up and the polling loop runs or the webhook server listens;
+ *                   nothing here depends on Telegram, so its outages don't get the container restarted
+ *   GET /readyz   - readiness: updates are coming in (see botService.checkUpdates()), the Telegram API
+ *                   answers getMe and the data directory is writable
+ *   GET /metrics  - Prometheus metrics
+ * Failed checks answer 503 with the reason.
+ */
+
+const startedAt = Date.now();
+
+function uptimeSeconds() {
+    return Math.round((Date.now() - startedAt) / 1000);
+}
+
+function healthz() {
+    const running = botService.isRunning();
+    return {
+        status: running ? 200 : 503,
+        body: { status: running ? 'ok' : 'not receiving updates', mode: botService.transport?.mode ?? null, uptime: uptimeSeconds() }
+    };
+}
+
+async function readyz() {
+    const checks = {};
+
+    const updates = await botService.checkUpdates();
+    checks.updates = updates.ok ? 'ok' : updates.reason;
+
+    const connection = await botService.checkConnection();
+    checks.telegram = connection.ok ? 'ok' : connection.error;
+
+    try {
+        checkDataDir();
+        checks.storage = 'ok';
+    } catch (error) {
+        checks.storage = error.message;
+    }
+
+    const ready = Object.values(checks).every(result => result === 'ok');
+    return { status: ready ? 200 : 503, body: { status: ready ? 'ok' : 'not ready', checks } };
+}
+
+/**
+ * Gauges read from the bot's state when metrics are scraped
+ */
+function registerGauges() {
+    metrics.gauge('subjectbot_active_sessions', 'Questionnaire sessions in progress or awaiting cleanup', () => questionHandler.store.size);
+    metrics.gauge('subjectbot_jobs', 'Deferred jobs by status', () => ['pending', 'failed'].map(status => ({
+        labels: { status },
+        value: jobQueue.list(status).length
+    })));
+    metrics.gauge('subjectbot_busy_chats', 'Chats with updates being handled or waiting in their queue', () => chatQueue.size);
+    // Never asks Telegram: a scrape reuses the last webhook check of /readyz
+    metrics.gauge('subjectbot_receiving_updates', '1 if updates are coming in, as checked for /readyz', () => (botService.lastUpdatesStatus().ok ? 1 : 0));
+    metrics.gauge('subjectbot_uptime_seconds', 'Seconds since the process started', uptimeSeconds);
+    metrics.gauge('subjectbot_memory_rss_bytes', 'Resident memory of the process', () => process.memoryUsage().rss);
+}
+
+export function registerHealthRoutes() {
+    registerGauges();
+    httpServer.route('GET', '/healthz', healthz);
+    httpServer.route('GET', '/readyz', readyz);
+    httpServer.route('GET', '/metrics', () => ({
+        body: metrics.render(),
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+    }));
+}
@@ -0,0 +1,127 @@
+import http from 'http';
+
+// Telegram updates are small; anything bigger is not for us
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_PORT = 8080;
+
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read a JSON request body
+ * @throws {HttpError} 413 when it is too large, 400 when it isn't JSON
+ */
+export function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * HTTP Server
+ * One small server for everything the bot exposes over HTTP: the Telegram
+ * webhook, health checks and metrics. Routes are exact paths; a handler returns
+ * { status, body, headers } or throws HttpError.
+ *
+ *   HTTP_PORT=8080  HTTP_HOST=0.0.0.0
+ */
+class HttpServer {
+    constructor() {
+        this.server = null;
+        // "METHOD path" -> handler(req)
+        this.routes = new Map();
+    }
+
+    route(method, path, handler) {
+        this.routes.set(`${method} ${path}`, handler);
+    }
+
+    /**
+     * Start listening; does nothing if already started
+     * @returns {Promise<number>} The port
+     */
+    listen(env = process.env) {
+        if (this.server) return Promise.resolve(this.server.address().port);
+
+        const port = env.HTTP_PORT !== undefined ? Number(env.HTTP_PORT) : DEFAULT_PORT;
+        const host = env.HTTP_HOST || '0.0.0.0';
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                const actual = this.server.address().port;
+                console.log(`🌐 HTTP server listening on ${host}:${actual}`);
+                resolve(actual);
+            });
+        });
+    }
+
+    isListening() {
+        return Boolean(this.server?.listening);
+    }
+
+    async handle(req, res) {
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const handler = this.routes.get(`${req.method} ${path}`);
+
+        let response;
+        try {
+            response = handler ? await handler(req) : { status: 404, body: 'Not found' };
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`❌ HTTP ${req.method} ${path} failed:`, error.message);
+            }
+            response = { status: error.status || 500, body: error instanceof HttpError ? error.message : 'Internal error' };
+        }
+
+        const { status = 200, body = '', headers = {} } = response || {};
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json',
+            ...headers
+        });
+        res.end(text);
+    }
+
+    /**
+     * Stop accepting connections and wait for open requests to finish
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+
+        const server = this.server;
+        this.server = null;
+        return new Promise((resolve) => {
+            server.close(() => resolve());
+            // Keep-alive connections would hold the shutdown
+            server.closeIdleConnections?.();
+        });
+    }
+}
+
+export default new HttpServer();
@@ -2,7 +2,18 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import botService from './bot/service.js';
+import callbackRouter from './bot/callbackRouter.js';
+import chatQueue from './bot/chatQueue.js';
 import questionHandler from './handler.js';
+import adminHandler from './admin.js';
+import lessons from './config/lessons.js';
+import aiClient from './ai/client.js';
+import { readBudgets } from './ai/budget.js';
+import jobWorker from './worker.js';
+import httpServer from './http/server.js';
+import { registerHealthRoutes } from './http/health.js';
+import { updateErrors } from './monitoring/metrics.js';
+import dataDirLock from './storage/dataDirLock.js';
 
 async function start() {
     try {
@@ -13,68 +24,147 @@ async function start() {
             throw new Error('TELEGRAM_BOT_TOKEN is required in .env');
         }
 
+        // A second bot on the same data would overwrite this one's sessions and history
+        dataDirLock.acquire();
+
+        // Load and validate lesson files
+        const loaded = lessons.load();
+        console.log('📚 Lessons loaded:', JSON.stringify(loaded));
+
+        // Read the AI provider chain (env or AI_CONFIG)
+        const providers = aiClient.load();
+        console.log('🤖 AI providers:', providers.join(' → '));
+        const unpriced = aiClient.getUnpriced();
+        if (readBudgets().length > 0 && unpriced.length > 0) {
+            console.log(`⚠️ AI budgets are set, but ${unpriced.join(', ')} report no cost and have no prices: their requests are not counted.`
+                + ' Set AI_<NAME>_PRICE_PROMPT and AI_<NAME>_PRICE_COMPLETION (or "pricing" in AI_CONFIG)');
+        }
+
+        // Restore sessions saved before the last restart
+        questionHandler.init();
+
         // Initialize bot
         botService.initialize();
 
+        // A failed update is logged and counted; it must never become an unhandled rejection
+        const reportFailure = (error) => {
+            updateErrors.inc();
+            console.error('❌ Update handling error:', error.message);
+        };
+
+        // Updates of a chat are handled one at a time, in order (see chatQueue.js)
+        const inChat = (msg, task) => chatQueue.run(msg.chat.id, task).catch(reportFailure);
+
+        // Admin commands don't touch sessions and stay out of the chat queue:
+        // /retry_job waits for jobs that queue in their users' chats, the admin's own included
+        const guarded = (task) => Promise.resolve().then(task).catch(reportFailure);
+
         // Handle /start command
         botService.onText(/^\/start/, (msg) => {
-            questionHandler.handleStart(msg);
+            inChat(msg, () => questionHandler.handleStart(msg));
+        });
+
+        // Handle /history command
+        botService.onText(/^\/history/, (msg) => {
+            inChat(msg, () => questionHandler.handleHistory(msg));
+        });
+
+        // Handle /reload_lessons admin command
+        botService.onText(/^\/reload_lessons/, (msg) => {
+            guarded(() => adminHandler.handleReloadLessons(msg));
+        });
+
+        // Handle /jobs and /retry_job admin commands
+        botService.onText(/^\/jobs/, (msg) => {
+            guarded(() => adminHandler.handleJobs(msg));
         });
 
-        // Handle callback queries (buttons)
-        botService.bot.on('callback_query', async (query) => {
+        botService.onText(/^\/retry_job(?:\s+(\S+))?/, (msg, match) => {
+            guarded(() => adminHandler.handleRetryJob(msg, match[1]));
+        });
+
+        // Handle /prompt_report admin command
+        botService.onText(/^\/prompt_report/, (msg) => {
+            guarded(() => adminHandler.handlePromptReport(msg));
+        });
+
+        // Handle /usage_report admin command
+        botService.onText(/^\/usage_report/, (msg) => {
+            guarded(() => adminHandler.handleUsageReport(msg));
+        });
+
+        // Handle callback queries (buttons); payloads are action:param:...
+        callbackRouter
+            .on('lang', (chatId, [lang]) => questionHandler.handleLanguageSelect(chatId, lang))
+            .on('chain', (chatId, [chainId]) => questionHandler.handleChainSelect(chatId, Number(chainId)))
+            .on('start_questions', (chatId) => questionHandler.handleStartQuestions(chatId), { dropWhenBusy: true })
+            .on('answer', (chatId, params, query) => questionHandler.handleButtonAnswer(chatId, params, query.message))
+            .on('question_back', (chatId) => questionHandler.handleBack(chatId))
+            .on('repeat_done', (chatId, [index]) => questionHandler.handleFinishRepeat(chatId, Number(index)))
+            .on('edit_answers', (chatId) => questionHandler.handleEditAnswers(chatId))
+            .on('edit_answer', (chatId, [number]) => questionHandler.handleEditAnswer(chatId, Number(number)))
+            .on('cancel_edit', (chatId) => questionHandler.handleCancelEdit(chatId))
+            .on('confirm_answers', (chatId) => questionHandler.handleConfirmAnswers(chatId), { dropWhenBusy: true })
+            .on('rate', (chatId, [rating, historyId, version]) => questionHandler.handleRate(chatId, historyId, rating, version))
+            .on('regenerate_summary', (chatId) => questionHandler.handleRegenerateSummary(chatId), { dropWhenBusy: true })
+            .on('regenerate_menu', (chatId, [historyId]) => questionHandler.handleRegenerateMenu(chatId, historyId), { dropWhenBusy: true })
+            .on('regenerate_with', (chatId, [historyId, variantId]) => questionHandler.handleRegenerateWith(chatId, historyId, variantId || null), { dropWhenBusy: true })
+            .on('feedback_skip', (chatId, params, query) => questionHandler.handleFeedbackSkip(chatId, query.message))
+            .on('save_results', (chatId, params, query) => questionHandler.saveResults(chatId, query.from.first_name), { dropWhenBusy: true })
+            .on('discuss_start', (chatId) => questionHandler.handleDiscussStart(chatId))
+            .on('discuss_end', (chatId) => questionHandler.handleDiscussEnd(chatId))
+            .on('history_summary', (chatId, [entryId]) => questionHandler.handleHistorySummary(chatId, entryId))
+            .on('history_export', (chatId, [entryId]) => questionHandler.handleHistoryExport(chatId, entryId), { dropWhenBusy: true })
+            .on('restart', (chatId) => questionHandler.handleRestart(chatId))
+            .onStale((chatId) => questionHandler.handleStaleCallback(chatId))
+            .onBusy((chatId) => questionHandler.getBusyNotice(chatId));
+
+        // Language and lesson buttons of the original release (start_questions, save_results and restart are unchanged)
+        callbackRouter
+            .legacyFormat(/^lang_(\w+)$/, ([, lang]) => ['lang', lang])
+            .legacyFormat(/^start_chain_(\d+)$/, ([, chainId]) => ['chain', chainId]);
+
+        botService.onCallbackQuery(async (query) => {
             try {
-                const chatId = query.message.chat.id;
-                const data = query.data;
-
-                // Acknowledge the button press
-                await botService.bot.answerCallbackQuery(query.id);
-
-                switch (data) {
-                    case 'lang_ru':
-                        await questionHandler.handleLanguageSelect(chatId, 'ru');
-                        break;
-                    case 'lang_uk':
-                        await questionHandler.handleLanguageSelect(chatId, 'uk');
-                        break;
-                    case 'lang_en':
-                        await questionHandler.handleLanguageSelect(chatId, 'en');
-                        break;
-                    case 'start_chain_1':
-                        await questionHandler.handleChainSelect(chatId, 1);
-                        break;
-                    case 'start_chain_2':
-                        await questionHandler.handleChainSelect(chatId, 2);
-                        break;
-                    case 'start_chain_3':
-                        await questionHandler.handleChainSelect(chatId, 3);
-                        break;
-                    case 'start_questions':
-                        await questionHandler.handleStartQuestions(chatId);
-                        break;
-                    case 'save_results':
-                        await questionHandler.saveResults(chatId, query.from.first_name);
-                        break;
-                    case 'restart':
-                        await questionHandler.handleRestart(chatId);
-                        break;
-                }
+                await callbackRouter.dispatch(query);
             } catch (error) {
+                updateErrors.inc();
                 console.error('❌ Callback query error:', error.message);
             }
         });
 
-        // Handle text messages (answers)
+        // Handle text messages (answers and the discussion of the analysis)
         botService.onMessage((msg) => {
             if (msg.text && !msg.text.startsWith('/')) {
-                const session = questionHandler.getSession(msg.chat.id);
-                const questions = questionHandler.getSessionQuestions(msg.chat.id);
-                if (session && session.currentIndex < questions.length) { // Only if in questioning phase
-                    questionHandler.handleAnswer(msg.chat.id, msg.text);
-                }
+                // The state is checked once the chat's earlier updates are handled
+                inChat(msg, async () => {
+                    // Only if in questioning phase (or editing an answer)
+                    if (questionHandler.isAwaitingAnswer(msg.chat.id)) {
+                        await questionHandler.handleAnswer(msg.chat.id, msg.text, msg.message_id);
+                    } else if (questionHandler.isAwaitingFeedback(msg.chat.id)) {
+                        await questionHandler.handleFeedbackComment(msg.chat.id, msg.text);
+                    } else if (questionHandler.isDiscussing(msg.chat.id)) {
+                        await questionHandler.handleDiscussMessage(msg.chat.id, msg.text);
+                    }
+                });
             }
         });
 
+        // Handle edits of messages that were sent as answers
+        botService.onEditedMessage((msg) => {
+            inChat(msg, () => questionHandler.handleEditedMessage(msg));
+        });
+
+        // Start receiving updates now that every handler is registered
+        await botService.start();
+
+        // Health checks and metrics (in webhook mode the server is already up)
+        registerHealthRoutes();
+        await httpServer.listen();
+
+        // Retry analyses that failed earlier
+        jobWorker.start();
+
         console.log('✅ Subject Bot is running');
         console.log('📱 Send /start to begin');
 
@@ -82,6 +172,7 @@ async function start() {
 
     } catch (error) {
         console.error('❌ Failed to start:', error.message);
+        dataDirLock.release();
         process.exit(1);
     }
 }
@@ -90,10 +181,11 @@ async function start() {
 async function shutdown() {
     console.log('\n👋 Shutting down...');
     try {
-        if (botService.bot) {
-            await botService.bot.stopPolling();
-        }
+        await botService.stop();
+        await httpServer.close();
+        jobWorker.stop();
         questionHandler.cleanup();
+        dataDirLock.release();
     } catch (error) {
         console.error('Error during shutdown:', error.message);
     }
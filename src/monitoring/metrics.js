@@ -0,0 +1,158 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus
+ * text format for GET /metrics. Values live only as long as the process;
+ * Prometheus keeps the history.
+ */
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        // Label set as JSON -> value
+        this.values = new Map();
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = JSON.stringify(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}${formatLabels(JSON.parse(key))} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Gauge {
+    /**
+     * @param {Function} collect - Returns the current value, or [{ labels, value }] for several series
+     */
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+        let collected;
+        try {
+            collected = this.collect();
+        } catch (error) {
+            console.error(`Failed to collect metric ${this.name}:`, error.message);
+            return lines;
+        }
+        const series = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        for (const { labels, value } of series) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        // Label set as JSON -> { counts per bucket, sum, count }
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = JSON.stringify(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start a timer; calling the returned function records the seconds since
+     */
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extraLabels = {}) => this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const [key, { counts, sum, count }] of this.series) {
+            const labels = JSON.parse(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    /**
+     * A gauge is read when scraped; registering the name again replaces its collector
+     */
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    render() {
+        return [...this.metrics.values()].flatMap(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+const metrics = new MetricsRegistry();
+
+// Metrics updated across the bot; gauges are registered where their values live (src/http/health.js)
+export const answersReceived = metrics.counter('subjectbot_answers_total', 'Answers received to lesson questions');
+export const summariesTotal = metrics.counter('subjectbot_summaries_total', 'Analysis requests by result: generated, failed or over_budget');
+export const aiRequestDuration = metrics.histogram(
+    'subjectbot_ai_request_duration_seconds',
+    'Duration of AI provider requests by provider and outcome',
+    [0.5, 1, 2, 5, 10, 20, 30, 60, 120]
+);
+export const telegramSendErrors = metrics.counter('subjectbot_telegram_send_errors_total', 'Telegram API calls that failed, by method');
+export const telegramRetries = metrics.counter('subjectbot_telegram_retries_total', 'Telegram API calls repeated, by method and reason: rate_limited or network');
+export const telegramPermanentFailures = metrics.counter(
+    'subjectbot_telegram_permanent_failures_total',
+    'Sends to chats that can not be reached, by reason: blocked, deactivated, kicked, chat_not_found or forbidden'
+);
+export const updateErrors = metrics.counter('subjectbot_update_errors_total', 'Updates whose handling failed with an error');
+export const telegramPollingErrors = metrics.counter('subjectbot_telegram_polling_errors_total', 'Failed long polling requests');
+
+export default metrics;
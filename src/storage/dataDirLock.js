@@ -0,0 +1,97 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getDataDir } from './jsonFile.js';
+
+// The holder refreshes the lock this often
+const HEARTBEAT_MS = 10000;
+// A lock not refreshed for this long is left from a process that is gone
+const STALE_MS = 3 * HEARTBEAT_MS;
+
+/**
+ * Data Directory Lock
+ * Sessions, history and queues are JSON files the process keeps in memory,
+ * so two bots on one DATA_DIR would overwrite each other's changes. The
+ * first process takes DATA_DIR/.lock; a second one refuses to start until
+ * the lock is released or goes stale (its holder stopped refreshing it).
+ */
+class DataDirLock {
+    constructor() {
+        this.lockPath = null;
+        this.heartbeat = null;
+    }
+
+    /**
+     * @throws {Error} If another live process holds the lock
+     */
+    acquire(dirPath = getDataDir()) {
+        const lockPath = path.join(dirPath, '.lock');
+        fs.mkdirSync(dirPath, { recursive: true });
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                fs.writeFileSync(lockPath, this.describe(), { flag: 'wx' });
+                this.lockPath = lockPath;
+                this.heartbeat = setInterval(() => this.refresh(), HEARTBEAT_MS);
+                this.heartbeat.unref();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const holder = this.readHolder(lockPath);
+            if (holder && !this.isStale(holder)) {
+                throw new Error(`${dirPath} is used by another bot process (pid ${holder.pid} on ${holder.host}); `
+                    + 'only one instance per data directory is supported');
+            }
+            console.log(`🔓 Removing a stale lock of ${dirPath}${holder ? ` (pid ${holder.pid} on ${holder.host})` : ''}`);
+            fs.rmSync(lockPath, { force: true });
+        }
+        throw new Error(`Failed to lock ${dirPath}`);
+    }
+
+    describe() {
+        return JSON.stringify({ pid: process.pid, host: os.hostname(), at: Date.now() });
+    }
+
+    readHolder(lockPath) {
+        try {
+            return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        } catch {
+            // Unreadable or half-written lock: treated as stale
+            return null;
+        }
+    }
+
+    isStale(holder) {
+        if (Date.now() - holder.at > STALE_MS) return true;
+        // On the same host the process can be checked directly; a container
+        // restarted with the same PID leaves a lock that looks like its own
+        if (holder.host !== os.hostname()) return false;
+        if (holder.pid === process.pid) return true;
+        try {
+            process.kill(holder.pid, 0);
+            return false;
+        } catch (error) {
+            return error.code === 'ESRCH';
+        }
+    }
+
+    refresh() {
+        try {
+            fs.writeFileSync(this.lockPath, this.describe(), 'utf8');
+        } catch (error) {
+            console.error('Failed to refresh the data directory lock:', error.message);
+        }
+    }
+
+    release() {
+        if (!this.lockPath) return;
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        fs.rmSync(this.lockPath, { force: true });
+        this.lockPath = null;
+    }
+}
+
+export default new DataDirLock();
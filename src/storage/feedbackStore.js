@@ -0,0 +1,90 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { getDataDir, readJson, writeJson } from './jsonFile.js';
+
+/**
+ * Analysis Feedback Store
+ * 👍/👎 ratings of analyses with optional comments. Every rating keeps the
+ * provider, model and prompt version that wrote the analysis, so prompts can
+ * be compared later. Rating the same analysis again replaces the rating.
+ */
+class FeedbackStore {
+    constructor(filePath = path.join(getDataDir(), 'feedback.json')) {
+        this.filePath = filePath;
+        // [{ id, chatId, historyId, chain, lang, rating, comment, provider, model, promptVersion, promptHash, variant,
+        //    analysisAt, createdAt }]
+        this.entries = null;
+    }
+
+    load() {
+        if (!this.entries) {
+            this.entries = readJson(this.filePath, []);
+        }
+        return this.entries;
+    }
+
+    /**
+     * Store a rating of the current analysis of a run
+     * @param {'up'|'down'} rating
+     * @param {Object} source - summarySource of the run: { provider, model, promptVersion, promptHash, variant, generatedAt }
+     * @returns {Object} The stored entry
+     */
+    rate(chatId, { historyId, chain, lang }, source, rating) {
+        const entries = this.load();
+        const analysisAt = source.generatedAt ?? null;
+        const existing = entries.find(entry => entry.chatId === chatId && entry.historyId === historyId && entry.analysisAt === analysisAt);
+
+        if (existing) {
+            existing.rating = rating;
+            existing.createdAt = Date.now();
+            this.flush();
+            return existing;
+        }
+
+        const entry = {
+            id: randomUUID().slice(0, 8),
+            chatId,
+            historyId,
+            chain,
+            lang,
+            rating,
+            comment: null,
+            provider: source.provider,
+            model: source.model,
+            promptVersion: source.promptVersion ?? null,
+            promptHash: source.promptHash ?? null,
+            variant: source.variant ?? null,
+            analysisAt,
+            createdAt: Date.now()
+        };
+        entries.push(entry);
+        this.flush();
+        return entry;
+    }
+
+    /**
+     * @returns {boolean} Whether the rating exists
+     */
+    setComment(id, comment) {
+        const entry = this.load().find(item => item.id === id);
+        if (!entry) return false;
+
+        entry.comment = comment;
+        this.flush();
+        return true;
+    }
+
+    list() {
+        return this.load();
+    }
+
+    flush() {
+        try {
+            writeJson(this.filePath, this.entries);
+        } catch (error) {
+            console.error('Failed to persist feedback:', error.message);
+        }
+    }
+}
+
+export default new FeedbackStore();
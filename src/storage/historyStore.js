@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { getDataDir, readJson, writeJson } from './jsonFile.js';
+
+// Changes within this window are written together
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * Lesson History Store
+ * Archives every completed run of a chain per user, so old analyses
+ * and exports can be sent again weeks later.
+ *
+ * Each chat has its own file in DATA_DIR/history, keeping at most
+ * HISTORY_MAX_RUNS_PER_CHAT runs (the oldest are dropped). Only the changed
+ * chats are written, together at most once per FLUSH_DELAY_MS and on close().
+ */
+class HistoryStore {
+    constructor(dirPath = path.join(getDataDir(), 'history')) {
+        this.dirPath = dirPath;
+        // Single file of the versions before per-chat files, split on first use
+        this.legacyPath = path.join(path.dirname(dirPath), 'history.json');
+        this.maxRuns = Number(process.env.HISTORY_MAX_RUNS_PER_CHAT) || 50;
+        // userId -> [{ id, chain, lang, answers, summary, analysis, summarySource, regenerations, reflections, discussion,
+        //             startedAt, completedAt }], the chats read so far
+        this.entries = new Map();
+        this.dirty = new Set();
+        this.flushTimer = null;
+        this.migrated = false;
+    }
+
+    filePath(userId) {
+        return path.join(this.dirPath, `${userId}.json`);
+    }
+
+    /**
+     * Split the legacy history.json into per-chat files, once
+     */
+    migrate() {
+        if (this.migrated) return;
+        this.migrated = true;
+        if (!fs.existsSync(this.legacyPath)) return;
+
+        const legacy = readJson(this.legacyPath, null);
+        if (!legacy) return;
+        try {
+            for (const [userId, entries] of Object.entries(legacy)) {
+                writeJson(this.filePath(userId), entries.slice(-this.maxRuns));
+            }
+            fs.renameSync(this.legacyPath, `${this.legacyPath}.migrated`);
+            console.log(`🗂️ History: ${Object.keys(legacy).length} chat(s) moved to ${this.dirPath}`);
+        } catch (error) {
+            console.error('Failed to split history.json:', error.message);
+        }
+    }
+
+    /**
+     * Runs of a chat, read from its file on first use
+     */
+    load(userId) {
+        const key = String(userId);
+        if (!this.entries.has(key)) {
+            this.migrate();
+            this.entries.set(key, readJson(this.filePath(key), []));
+        }
+        return this.entries.get(key);
+    }
+
+    /**
+     * Archive a completed lesson run
+     * @returns {Object} The stored entry
+     */
+    add(userId, { chain, lang, answers, summary, analysis, summarySource, regenerations, reflections, discussion, startedAt }) {
+        const entries = this.load(userId);
+        const entry = {
+            // Short ID keeps callback_data well under Telegram's 64-byte limit
+            id: randomUUID().slice(0, 8),
+            chain,
+            lang,
+            answers: answers.map(qa => ({ ...qa })),
+            summary,
+            // [{ id, title, text }] when the lesson asks for a structured analysis
+            analysis: analysis || null,
+            // Provider and model that wrote the analysis (null for the fallback text)
+            summarySource: summarySource || null,
+            // How many times the user asked for a new analysis of this run
+            regenerations: regenerations || 0,
+            reflections: reflections || [],
+            // Follow-up conversation about the analysis: [{ role, content, at }]
+            discussion: discussion || [],
+            startedAt: startedAt || null,
+            completedAt: Date.now()
+        };
+
+        entries.push(entry);
+        if (entries.length > this.maxRuns) entries.splice(0, entries.length - this.maxRuns);
+        this.scheduleFlush(userId);
+        return entry;
+    }
+
+    /**
+     * Replace the answers and analysis of an archived run
+     * @returns {boolean} Whether the entry was found
+     */
+    update(userId, entryId, { answers, summary, analysis, summarySource, regenerations, reflections, discussion }) {
+        const entry = this.get(userId, entryId);
+        if (!entry) return false;
+
+        entry.answers = answers.map(qa => ({ ...qa }));
+        entry.summary = summary;
+        entry.analysis = analysis || null;
+        entry.summarySource = summarySource || null;
+        entry.regenerations = regenerations || 0;
+        entry.reflections = reflections || [];
+        entry.discussion = discussion || [];
+        entry.completedAt = Date.now();
+        this.scheduleFlush(userId);
+        return true;
+    }
+
+    /**
+     * Replace the answers of a run (e.g. after the user edited a message) without touching its date
+     * @returns {boolean} Whether the entry was found
+     */
+    setAnswers(userId, entryId, answers) {
+        const entry = this.get(userId, entryId);
+        if (!entry) return false;
+
+        entry.answers = answers.map(qa => ({ ...qa }));
+        this.scheduleFlush(userId);
+        return true;
+    }
+
+    /**
+     * Store the follow-up discussion of a run without touching its date
+     * @returns {boolean} Whether the entry was found
+     */
+    setDiscussion(userId, entryId, discussion) {
+        const entry = this.get(userId, entryId);
+        if (!entry) return false;
+
+        entry.discussion = discussion.map(turn => ({ ...turn }));
+        this.scheduleFlush(userId);
+        return true;
+    }
+
+    /**
+     * Runs of every user, for reports; reads the files of all chats
+     * @returns {Array} [{ userId, ...entry }]
+     */
+    all() {
+        this.migrate();
+        let files = [];
+        try {
+            files = fs.readdirSync(this.dirPath).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Failed to list history:', error.message);
+        }
+        const userIds = new Set([...files.map(file => path.basename(file, '.json')), ...this.entries.keys()]);
+        return [...userIds].flatMap(userId => this.load(userId).map(entry => ({ userId, ...entry })));
+    }
+
+    /**
+     * All kept runs of a user, oldest first
+     */
+    list(userId) {
+        return this.load(userId);
+    }
+
+    get(userId, entryId) {
+        return this.list(userId).find(entry => entry.id === entryId) || null;
+    }
+
+    scheduleFlush(userId) {
+        this.dirty.add(String(userId));
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+        // A pending write doesn't keep the process alive; close() writes it on shutdown
+        this.flushTimer.unref();
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        for (const userId of this.dirty) {
+            try {
+                writeJson(this.filePath(userId), this.entries.get(userId));
+            } catch (error) {
+                console.error(`Failed to persist history of ${userId}:`, error.message);
+            }
+        }
+        this.dirty.clear();
+    }
+
+    close() {
+        this.flush();
+    }
+}
+
+export default new HistoryStore();
@@ -0,0 +1,143 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { getDataDir, readJson, writeJson } from './jsonFile.js';
+
+/**
+ * Deferred Job Queue
+ * Persistent list of work to retry later, such as analyses that failed
+ * because no AI provider answered. Jobs survive restarts; finished jobs
+ * are removed, jobs that ran out of attempts stay as "failed" until an
+ * admin retries them.
+ */
+class JobQueue {
+    constructor(filePath = path.join(getDataDir(), 'jobs.json')) {
+        this.filePath = filePath;
+        // [{ id, type, chatId, historyId, status, attempts, nextAttemptAt, lastError, createdAt }]
+        this.jobs = null;
+    }
+
+    load() {
+        if (!this.jobs) {
+            this.jobs = readJson(this.filePath, []);
+        }
+        return this.jobs;
+    }
+
+    /**
+     * Add a job; an unfinished job of the same type for the same run is replaced
+     * @returns {Object} The stored job
+     */
+    enqueue(type, { chatId, historyId }) {
+        this.remove(type, chatId, historyId);
+
+        const job = {
+            id: randomUUID().slice(0, 8),
+            type,
+            chatId,
+            historyId,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            createdAt: Date.now()
+        };
+        this.load().push(job);
+        this.flush();
+        return job;
+    }
+
+    /**
+     * Drop the job of a run, e.g. when the user got a fresh analysis themselves
+     * @returns {boolean} Whether a job was removed
+     */
+    remove(type, chatId, historyId) {
+        const jobs = this.load();
+        const index = jobs.findIndex(job => job.type === type && job.chatId === chatId && job.historyId === historyId);
+        if (index === -1) return false;
+
+        jobs.splice(index, 1);
+        this.flush();
+        return true;
+    }
+
+    /**
+     * Pending jobs whose next attempt is due, oldest first
+     */
+    due(now = Date.now()) {
+        return this.load().filter(job => job.status === 'pending' && job.nextAttemptAt <= now);
+    }
+
+    list(status) {
+        return this.load().filter(job => !status || job.status === status);
+    }
+
+    get(id) {
+        return this.load().find(job => job.id === id) || null;
+    }
+
+    complete(id) {
+        const jobs = this.load();
+        const index = jobs.findIndex(job => job.id === id);
+        if (index !== -1) {
+            jobs.splice(index, 1);
+            this.flush();
+        }
+    }
+
+    /**
+     * Record a failed attempt and schedule the next one
+     * @param {number|null} retryInMs - Delay before the next attempt, or null to give up
+     */
+    fail(id, error, retryInMs) {
+        const job = this.get(id);
+        if (!job) return;
+
+        job.attempts++;
+        job.lastError = error;
+        if (retryInMs === null) {
+            job.status = 'failed';
+        } else {
+            job.nextAttemptAt = Date.now() + retryInMs;
+        }
+        this.flush();
+    }
+
+    /**
+     * Move the next attempt without counting a failure, e.g. while the AI budget is used up
+     */
+    postpone(id, reason, delayMs) {
+        const job = this.get(id);
+        if (!job) return;
+
+        job.lastError = reason;
+        job.nextAttemptAt = Date.now() + delayMs;
+        this.flush();
+    }
+
+    /**
+     * Make a job due right now; a failed job gets a fresh set of attempts
+     * @returns {boolean} Whether the job exists
+     */
+    retry(id) {
+        const job = this.get(id);
+        if (!job) return false;
+
+        if (job.status === 'failed') {
+            job.attempts = 0;
+        }
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now();
+        this.flush();
+        return true;
+    }
+
+    flush() {
+        try {
+            writeJson(this.filePath, this.jobs);
+        } catch (error) {
+            console.error('Failed to persist jobs:', error.message);
+        }
+    }
+}
+
+export default new JobQueue();
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory for persistent bot data (sessions, history, queues).
+ * Can be overridden with DATA_DIR, e.g. to point at a mounted volume.
+ */
+export function getDataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+}
+
+/**
+ * Reads a JSON file, returning the fallback if it is missing or unreadable.
+ */
+export function readJson(filePath, fallback) {
+    try {
+        if (!fs.existsSync(filePath)) return fallback;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`Failed to read ${filePath}:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Writes JSON atomically (temp file + rename) so a crash mid-write
+ * never leaves a truncated file behind.
+ */
+export function writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Check that the data directory can be written, by writing and removing a probe file
+ * @throws {Error} If it can't
+ */
+export function checkDataDir() {
+    const probePath = path.join(getDataDir(), `.probe-${process.pid}`);
+    fs.mkdirSync(path.dirname(probePath), { recursive: true });
+    fs.writeFileSync(probePath, String(Date.now()), 'utf8');
+    fs.unlinkSync(probePath);
+}
@@ -0,0 +1,117 @@
+import path from 'path';
+import { getDataDir, readJson, writeJson } from './jsonFile.js';
+
+// Changes within this window are written together
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * Session Stores
+ * Keep questionnaire sessions keyed by chat ID.
+ * The file store survives restarts; the memory store is for local experiments.
+ */
+
+/**
+ * In-memory store. Sessions are lost on restart.
+ */
+export class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    load() {
+        return this.sessions.size;
+    }
+
+    get(chatId) {
+        return this.sessions.get(chatId);
+    }
+
+    set(chatId, session) {
+        this.sessions.set(chatId, session);
+    }
+
+    delete(chatId) {
+        this.sessions.delete(chatId);
+    }
+
+    entries() {
+        return [...this.sessions.entries()];
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    close() {
+        // Nothing to flush
+    }
+}
+
+/**
+ * JSON file store. Changes are written to disk together at most once per
+ * FLUSH_DELAY_MS (an answer, a toggle and the next question are one write),
+ * and on close(); all sessions are reloaded on startup.
+ */
+export class FileSessionStore extends MemorySessionStore {
+    constructor(filePath = path.join(getDataDir(), 'sessions.json')) {
+        super();
+        this.filePath = filePath;
+        this.flushTimer = null;
+    }
+
+    load() {
+        const data = readJson(this.filePath, {});
+        this.sessions.clear();
+        for (const [chatId, session] of Object.entries(data)) {
+            // JSON object keys are strings, Telegram chat IDs are numbers
+            this.sessions.set(Number(chatId), session);
+        }
+        return this.sessions.size;
+    }
+
+    set(chatId, session) {
+        super.set(chatId, session);
+        this.scheduleFlush();
+    }
+
+    delete(chatId) {
+        if (!this.sessions.has(chatId)) return;
+        super.delete(chatId);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+        // A pending write doesn't keep the process alive; close() writes it on shutdown
+        this.flushTimer.unref();
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        try {
+            writeJson(this.filePath, Object.fromEntries(this.sessions));
+        } catch (error) {
+            console.error('Failed to persist sessions:', error.message);
+        }
+    }
+
+    close() {
+        this.flush();
+    }
+}
+
+/**
+ * Creates the session store selected by SESSION_STORE ('file' by default, or 'memory').
+ */
+export function createSessionStore(type = process.env.SESSION_STORE || 'file') {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'file':
+            return new FileSessionStore();
+        default:
+            throw new Error(`Unknown SESSION_STORE: ${type}`);
+    }
+}
@@ -0,0 +1,184 @@
+import path from 'path';
+import { getDataDir, readJson, writeJson } from './jsonFile.js';
+
+/**
+ * AI Usage Store
+ * One record per answered AI request: who and which lesson it was for, the
+ * provider and model, token counts and the estimated cost. Budgets and the
+ * admin spend report are computed from it.
+ *
+ * Records are kept from the start of the previous month; older ones are
+ * rolled up into daily totals per lesson, kind and model, so the file
+ * doesn't grow without bound.
+ */
+
+function startOfDay(at) {
+    const date = new Date(at);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+/**
+ * Records before this moment are rolled up: the start of the previous month
+ */
+function detailCutoff(at) {
+    const date = new Date(at);
+    return new Date(date.getFullYear(), date.getMonth() - 1, 1).getTime();
+}
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: 0, unpriced: 0 };
+}
+
+class UsageStore {
+    constructor(filePath = path.join(getDataDir(), 'usage.json')) {
+        this.filePath = filePath;
+        // { entries, days }
+        // entries - [{ at, chatId, chain, lang, kind, provider, model, promptTokens, completionTokens, cost, estimated }], oldest first
+        //   kind - summary | regeneration | deferred | repair | reflection | discussion
+        // days - [{ at (start of the day), chain, lang, kind, provider, model, calls, promptTokens, completionTokens, cost, estimated, unpriced }]
+        this.data = null;
+        // Start of a day -> { total, chats: Map(chatId -> cost) }, the known cost of the kept records
+        this.costByDay = null;
+        // Start of the day the records were last rolled up
+        this.rolledUpDay = null;
+    }
+
+    load() {
+        if (!this.data) {
+            const stored = readJson(this.filePath, { entries: [], days: [] });
+            // Files written before the roll-ups are a plain list of records
+            this.data = Array.isArray(stored) ? { entries: stored, days: [] } : stored;
+            this.rollUp(Date.now());
+        }
+        return this.data;
+    }
+
+    /**
+     * Fold the records older than the previous month into daily totals; runs once a day
+     */
+    rollUp(now) {
+        const today = startOfDay(now);
+        if (this.rolledUpDay === today) return;
+        this.rolledUpDay = today;
+
+        const cutoff = detailCutoff(now);
+        const { entries, days } = this.data;
+        const old = entries.filter(entry => entry.at < cutoff);
+
+        if (old.length > 0) {
+            const keyOf = (row) => [row.at, row.chain, row.lang, row.kind, row.provider, row.model].join('|');
+            const byKey = new Map(days.map(day => [keyOf(day), day]));
+            for (const entry of old) {
+                const row = { at: startOfDay(entry.at), chain: entry.chain, lang: entry.lang, kind: entry.kind, provider: entry.provider, model: entry.model };
+                const key = keyOf(row);
+                if (!byKey.has(key)) {
+                    const day = { ...row, ...emptyTotals() };
+                    byKey.set(key, day);
+                    days.push(day);
+                }
+                const day = byKey.get(key);
+                day.calls++;
+                day.promptTokens += entry.promptTokens;
+                day.completionTokens += entry.completionTokens;
+                day.cost += entry.cost || 0;
+                day.estimated += entry.estimated ? 1 : 0;
+                day.unpriced += entry.cost === null ? 1 : 0;
+            }
+            this.data.entries = entries.filter(entry => entry.at >= cutoff);
+            this.flush();
+            console.log(`🗜️ AI usage: ${old.length} record(s) rolled up into daily totals`);
+        }
+
+        this.costByDay = new Map();
+        for (const entry of this.data.entries) this.countCost(entry);
+    }
+
+    countCost(entry) {
+        const day = startOfDay(entry.at);
+        if (!this.costByDay.has(day)) this.costByDay.set(day, { total: 0, chats: new Map() });
+        const cost = this.costByDay.get(day);
+        cost.total += entry.cost || 0;
+        cost.chats.set(entry.chatId, (cost.chats.get(entry.chatId) || 0) + (entry.cost || 0));
+    }
+
+    /**
+     * @param {Object} context - { chatId, chain, lang, kind }
+     * @param {Object} result - AI client result: { provider, model, usage }
+     * @returns {Object} The stored entry
+     */
+    record({ chatId = null, chain = null, lang = null, kind = null } = {}, { provider, model, usage }) {
+        const entry = {
+            at: Date.now(),
+            chatId,
+            chain,
+            lang,
+            kind,
+            provider,
+            model,
+            promptTokens: usage?.promptTokens ?? 0,
+            completionTokens: usage?.completionTokens ?? 0,
+            // USD, null when the provider has no prices
+            cost: usage?.cost ?? null,
+            estimated: usage?.estimated ?? true
+        };
+        this.load();
+        this.rollUp(entry.at);
+        this.data.entries.push(entry);
+        this.countCost(entry);
+        this.flush();
+        return entry;
+    }
+
+    /**
+     * Records since a moment, optionally of one user; only the kept ones, from the start of the previous month
+     */
+    list({ since = 0, chatId = null } = {}) {
+        return this.load().entries.filter(entry => entry.at >= since && (chatId === null || entry.chatId === chatId));
+    }
+
+    /**
+     * Known cost in USD since the start of a day in the current or previous month, optionally of one user
+     */
+    spent(since, chatId = null) {
+        this.load();
+        let sum = 0;
+        for (const [day, cost] of this.costByDay) {
+            if (day < since) continue;
+            sum += chatId === null ? cost.total : (cost.chats.get(chatId) || 0);
+        }
+        return sum;
+    }
+
+    /**
+     * Requests, tokens and cost since a moment, rolled-up days included
+     * @returns {Object} { calls, promptTokens, completionTokens, cost, estimated, unpriced }
+     */
+    totals(since = 0) {
+        const { entries, days } = this.load();
+        const sum = emptyTotals();
+        for (const entry of entries) {
+            if (entry.at < since) continue;
+            sum.calls++;
+            sum.promptTokens += entry.promptTokens;
+            sum.completionTokens += entry.completionTokens;
+            sum.cost += entry.cost || 0;
+            sum.estimated += entry.estimated ? 1 : 0;
+            sum.unpriced += entry.cost === null ? 1 : 0;
+        }
+        for (const day of days) {
+            if (day.at < since) continue;
+            for (const key of Object.keys(sum)) sum[key] += day[key];
+        }
+        return sum;
+    }
+
+    flush() {
+        try {
+            writeJson(this.filePath, this.data);
+        } catch (error) {
+            console.error('Failed to persist AI usage:', error.message);
+        }
+    }
+}
+
+export default new UsageStore();
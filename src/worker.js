@@ -0,0 +1,98 @@
+import questionHandler from './handler.js';
+import chatQueue from './bot/chatQueue.js';
+import aiClient from './ai/client.js';
+import jobQueue from './storage/jobQueue.js';
+import { BudgetExceededError } from './ai/budget.js';
+import { TelegramSendError } from './bot/sendQueue.js';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Deferred Job Worker
+ * Periodically runs due jobs from the queue. A failed attempt is retried
+ * with exponential backoff (1 min, 2 min, 4 min ... up to 6 h); after
+ * MAX_ATTEMPTS the job is marked failed and waits for an admin. A job
+ * stopped by the AI budget waits until the limit is lifted without using
+ * up its attempts; one whose chat can't be reached fails right away.
+ */
+class JobWorker {
+    constructor() {
+        this.interval = null;
+        this.running = false;
+        this.handlers = {
+            // Waits for the user's own updates, so it never races a live analysis of the same chat
+            summary: (job) => chatQueue.run(job.chatId, () => questionHandler.deliverDeferredSummary(job.chatId, job.historyId))
+        };
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => this.runDue(), POLL_INTERVAL_MS);
+        const pending = jobQueue.list('pending').length;
+        console.log(`⏱️ Job worker started (${pending} pending job(s))`);
+        this.runDue();
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Run every due job once; overlapping runs are skipped
+     */
+    async runDue() {
+        if (this.running) return;
+
+        // Without a provider every attempt would fail - keep the attempts for later
+        if (!aiClient.isAvailable()) return;
+
+        this.running = true;
+        try {
+            for (const job of jobQueue.due()) {
+                await this.runJob(job);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async runJob(job) {
+        const handler = this.handlers[job.type];
+        if (!handler) {
+            jobQueue.fail(job.id, `unknown job type "${job.type}"`, null);
+            return;
+        }
+
+        try {
+            const delivered = await handler(job);
+            jobQueue.complete(job.id);
+            console.log(delivered ? `✅ Job ${job.id} (${job.type}) done` : `🗑️ Job ${job.id} dropped: its run no longer exists`);
+        } catch (error) {
+            if (error instanceof BudgetExceededError) {
+                jobQueue.postpone(job.id, error.message, error.retryAfterMs);
+                console.log(`⏳ Job ${job.id} (${job.type}) postponed: ${error.message}`);
+                return;
+            }
+
+            // The user blocked the bot or the chat is gone - retrying won't deliver it
+            if (error instanceof TelegramSendError) {
+                jobQueue.fail(job.id, error.message, null);
+                console.error(`🚫 Job ${job.id} (${job.type}) failed: ${error.message}`);
+                return;
+            }
+
+            const attempts = job.attempts + 1;
+            const retryInMs = attempts >= MAX_ATTEMPTS ? null : Math.min(BASE_BACKOFF_MS * 2 ** job.attempts, MAX_BACKOFF_MS);
+            jobQueue.fail(job.id, error.message, retryInMs);
+            console.error(`❌ Job ${job.id} (${job.type}) attempt ${attempts} failed:`, error.message);
+        }
+    }
+}
+
+export default new JobWorker();
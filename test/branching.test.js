@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePath, evaluateCondition } from '../src/config/branching.js';
+
+const answer = (text, value) => ({ answer: text, ...(value !== undefined && { value }) });
+
+test('computePath walks the questions in order and stops at the first unanswered one', () => {
+    const questions = [{ text: 'A' }, { text: 'B' }, { text: 'C' }];
+    const answers = [answer('a'), answer('b')];
+
+    assert.deepEqual(computePath(questions, answers), { path: [0, 1], current: 2, onPath: answers });
+});
+
+test('computePath reports a complete lesson with current null', () => {
+    const questions = [{ text: 'A' }, { text: 'B' }];
+
+    assert.equal(computePath(questions, [answer('a'), answer('b')]).current, null);
+});
+
+test('computePath skips a question whose `when` is false', () => {
+    const questions = [
+        { text: 'Was there a choice?' },
+        { text: 'Why?', when: { question: 1, equals: true } },
+        { text: 'Last' }
+    ];
+
+    assert.equal(computePath(questions, [answer('Нет', false)]).current, 2);
+    assert.equal(computePath(questions, [answer('Да', true)]).current, 1);
+});
+
+test('computePath follows `next` jumps and ignores answers left on the skipped branch', () => {
+    const questions = [
+        { text: 'Go on?', next: [{ if: { question: 1, equals: 'нет' }, goto: 3 }] },
+        { text: 'Skipped' },
+        { text: 'Target' }
+    ];
+    const answers = [answer('Нет'), answer('stale'), answer('t')];
+    const { path, current, onPath } = computePath(questions, answers);
+
+    assert.deepEqual(path, [0, 2]);
+    assert.equal(current, null);
+    assert.equal(onPath[1], undefined);
+});
+
+test('computePath skips the rest of a repeat block the user finished early', () => {
+    const repeat = { group: 0 };
+    const questions = [{ text: 'R', repeat }, { text: 'R', repeat }, { text: 'R', repeat }, { text: 'After' }];
+    const answers = [answer('r1')];
+
+    assert.equal(computePath(questions, answers).current, 1);
+    assert.equal(computePath(questions, answers, [0]).current, 3);
+});
+
+test('evaluateCondition matches text, keywords, empty answers and combinations', () => {
+    const answers = [answer('Я боюсь, что не справлюсь'), answer('Не знаю.')];
+
+    assert.equal(evaluateCondition({ question: 1, contains: ['страх', 'боюсь'] }, answers), true);
+    assert.equal(evaluateCondition({ question: 2, empty: true }, answers), true);
+    assert.equal(evaluateCondition({ question: 2, empty: true, not: true }, answers), false);
+    assert.equal(evaluateCondition({ any: [{ question: 1, equals: 'да' }, { question: 2, empty: true }] }, answers), true);
+    assert.equal(evaluateCondition({ all: [{ question: 1, equals: 'да' }, { question: 2, empty: true }] }, answers), false);
+    // Unanswered questions never match
+    assert.equal(evaluateCondition({ question: 3, empty: true }, answers), false);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeRepeats, detectLoops, similarity } from '../src/analysis/loops.js';
+
+test('similarity is high for reworded repeats and low for different answers', () => {
+    assert.ok(similarity('Я боюсь ошибиться', 'Боюсь ошибиться снова!') >= 0.5);
+    assert.ok(similarity('Я боюсь ошибиться', 'Родители переехали в другой город') < 0.5);
+});
+
+test('detectLoops finds the first repeat and groups similar answers', () => {
+    const result = detectLoops([
+        'Я боюсь ошибиться',
+        'Родители переехали в другой город',
+        'Я боюсь ошибиться снова',
+        'Работа отнимает всё время',
+        'Родители переехали в другой город'
+    ]);
+
+    assert.equal(result.loopStart, 3);
+    assert.equal(result.echoOf, 1);
+    assert.deepEqual(result.clusters, [[1, 3], [2, 5]]);
+});
+
+test('detectLoops reports no loop for distinct answers', () => {
+    assert.deepEqual(detectLoops(['Первый ответ', 'Совсем другое', 'Третья мысль']), { loopStart: null, echoOf: null, clusters: [] });
+});
+
+test('analyzeRepeats analyses every repeat block of a transcript', () => {
+    const repeat = (group, count) => ({ group, count });
+    const transcript = [
+        { question: 'Intro', answer: 'x' },
+        { question: 'Так получилось, что...', answer: 'меня не слушают', repeat: repeat(1, 4) },
+        { question: 'Так получилось, что...', answer: 'меня никто не слушает', repeat: repeat(1, 4) },
+        { question: 'Я не живу полностью, потому что...', answer: 'устаю', repeat: repeat(2, 3) }
+    ];
+    const findings = analyzeRepeats(transcript);
+
+    assert.equal(findings.length, 2);
+    assert.deepEqual(
+        { text: findings[0].text, count: findings[0].count, done: findings[0].done, loopStart: findings[0].loopStart },
+        { text: 'Так получилось, что...', count: 4, done: 2, loopStart: 2 }
+    );
+    assert.equal(findings[1].done, 1);
+    assert.equal(findings[1].loopStart, null);
+});
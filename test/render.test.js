@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, splitMarkdown } from '../src/bot/render.js';
+
+test('renderMarkdown turns paired markers into HTML and escapes the rest', () => {
+    assert.equal(renderMarkdown('*bold* _italic_ `a < b`'), '<b>bold</b> <i>italic</i> <code>a &lt; b</code>');
+    assert.equal(renderMarkdown('snake_case and 2 < 3'), 'snake_case and 2 &lt; 3');
+    assert.equal(renderMarkdown('🎓 * Welcome! *'), '🎓 <b>Welcome!</b>');
+});
+
+test('splitMarkdown keeps a short text in one message', () => {
+    assert.deepEqual(splitMarkdown('One paragraph.\n\nAnother.', 100), ['One paragraph.\n\nAnother.']);
+});
+
+test('splitMarkdown breaks between paragraphs so that every rendered part fits', () => {
+    const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${'x'.repeat(30)}`);
+    const parts = splitMarkdown(paragraphs.join('\n\n'), 100);
+
+    assert.ok(parts.length > 1);
+    assert.deepEqual(parts.join('\n\n'), paragraphs.join('\n\n'));
+    for (const part of parts) {
+        assert.ok(renderMarkdown(part).length <= 100);
+    }
+});
+
+test('splitMarkdown splits an oversized paragraph without losing text', () => {
+    const text = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+    const parts = splitMarkdown(text, 50);
+
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+        assert.ok(renderMarkdown(part).length <= 50);
+    }
+    assert.equal(parts.join(' ').replace(/\s+/g, ' '), text);
+});
+
+test('splitMarkdown measures the rendered length, escapes included', () => {
+    // 30 characters of Markdown become 120 of HTML
+    const text = `${'<'.repeat(30)}\n\n${'<'.repeat(30)}`;
+    const parts = splitMarkdown(text, 130);
+
+    assert.deepEqual(parts, ['<'.repeat(30), '<'.repeat(30)]);
+});
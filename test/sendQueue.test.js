@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifySendError } from '../src/bot/sendQueue.js';
+
+// Errors in the shape node-telegram-bot-api throws them
+function telegramError(statusCode, description, parameters) {
+    const error = new Error(`ETELEGRAM: ${statusCode} ${description}`);
+    error.code = 'ETELEGRAM';
+    error.response = { statusCode, body: { ok: false, error_code: statusCode, description, parameters } };
+    return error;
+}
+
+function fatalError(message) {
+    const error = new Error(`EFATAL: ${message}`);
+    error.code = 'EFATAL';
+    return error;
+}
+
+test('classifySendError reads retry_after of a 429', () => {
+    assert.deepEqual(
+        classifySendError(telegramError(429, 'Too Many Requests: retry after 7', { retry_after: 7 })),
+        { kind: 'rate_limited', retryAfterMs: 7000 }
+    );
+    assert.deepEqual(classifySendError(telegramError(429, 'Too Many Requests: retry after 3')), { kind: 'rate_limited', retryAfterMs: 3000 });
+});
+
+test('classifySendError sorts unreachable chats by reason', () => {
+    assert.deepEqual(classifySendError(telegramError(403, 'Forbidden: bot was blocked by the user')), { kind: 'permanent', reason: 'blocked' });
+    assert.deepEqual(classifySendError(telegramError(403, 'Forbidden: user is deactivated')), { kind: 'permanent', reason: 'deactivated' });
+    assert.deepEqual(classifySendError(telegramError(400, 'Bad Request: chat not found')), { kind: 'permanent', reason: 'chat_not_found' });
+});
+
+test('classifySendError tells requests that never reached Telegram from lost responses', () => {
+    assert.deepEqual(classifySendError(fatalError('connect ECONNREFUSED 149.154.167.220:443')), { kind: 'network' });
+    assert.deepEqual(classifySendError(fatalError('getaddrinfo ENOTFOUND api.telegram.org')), { kind: 'network' });
+    assert.deepEqual(classifySendError(fatalError('socket hang up')), { kind: 'uncertain' });
+    assert.deepEqual(classifySendError(telegramError(502, 'Bad Gateway')), { kind: 'uncertain' });
+});
+
+test('classifySendError leaves other bad requests to the caller', () => {
+    assert.deepEqual(classifySendError(telegramError(400, 'Bad Request: message is not modified')), { kind: 'rejected' });
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPartialSections, parseStructured } from '../src/ai/structured.js';
+
+const output = [
+    { id: 'portrait', title: 'Общий портрет' },
+    { id: 'patterns', title: 'Ключевые паттерны' }
+];
+
+test('parseStructured reads the sections in schema order', () => {
+    const result = parseStructured('{"patterns": "P", "portrait": "A"}', output);
+
+    assert.deepEqual(result, {
+        sections: [{ id: 'portrait', title: 'Общий портрет', text: 'A' }, { id: 'patterns', title: 'Ключевые паттерны', text: 'P' }],
+        missing: [],
+        invalidJson: false
+    });
+});
+
+test('parseStructured ignores code fences and text around the object', () => {
+    const result = parseStructured('Вот анализ:\n```json\n{"portrait": "A", "patterns": "P"}\n```', output);
+
+    assert.equal(result.invalidJson, false);
+    assert.equal(result.sections.length, 2);
+});
+
+test('parseStructured lists empty and absent sections as missing', () => {
+    const result = parseStructured('{"portrait": "  "}', output);
+
+    assert.deepEqual(result.sections, []);
+    assert.deepEqual(result.missing, ['Общий портрет', 'Ключевые паттерны']);
+});
+
+test('parseStructured flags an answer cut off mid-object as invalid JSON', () => {
+    const result = parseStructured('{"portrait": "A", "patterns": "P', output);
+
+    assert.equal(result.invalidJson, true);
+    assert.deepEqual(result.missing, ['Общий портрет', 'Ключевые паттерны']);
+});
+
+test('extractPartialSections recovers the sections of incomplete JSON', () => {
+    const sections = extractPartialSections('{"portrait": "Line one\\nline \\"two\\"", "patterns": "Unfinish', output);
+
+    assert.deepEqual(sections, [
+        { id: 'portrait', title: 'Общий портрет', text: 'Line one\nline "two"' },
+        { id: 'patterns', title: 'Ключевые паттерны', text: 'Unfinish' }
+    ]);
+});
+
+test('extractPartialSections drops a half-received escape sequence', () => {
+    const sections = extractPartialSections('{"portrait": "Text \\u04', output);
+
+    assert.deepEqual(sections, [{ id: 'portrait', title: 'Общий портрет', text: 'Text' }]);
+});